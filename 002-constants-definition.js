@@ -8,17 +8,84 @@ const SECURITY_CONFIG = {
         'emergency_memory_cleanup',
         'job_failed_max_retries',
         'cleanup_rule_failed',
-        'job_timeout_max_retries'
+        'job_timeout_max_retries',
+        'fraud_case_resolved',
+        'user_role_changed'
     ]
 };
 
+// Roles for access control (see 054-access-control.js). Stored in `users.role` and mirrored into
+// the `role` custom claim.
+const USER_ROLES = {
+    CUSTOMER: 'customer',
+    DRIVER: 'driver',
+    VENDOR_STAFF: 'vendor_staff',
+    VENDOR_OWNER: 'vendor_owner',
+    DISPATCHER: 'dispatcher',
+    SUPPORT: 'support',
+    ADMIN: 'admin',
+};
+
 const ORDER_STATUS = {
     DRIVER_PENDING: 'Driver Pending',
     ORDER_PLACED: 'Order Placed',
     ORDER_ACCEPTED: 'Order Accepted',
+    ORDER_PREPARING: 'Order Preparing',
+    ORDER_READY: 'Order Ready',
+    DRIVER_ASSIGNED: 'Driver Assigned',
+    ORDER_PICKED_UP: 'Order Picked Up',
+    ORDER_IN_TRANSIT: 'Order In Transit',
+    ORDER_DELIVERED: 'Order Delivered',
+    ORDER_CANCELLED: 'Order Cancelled',
+    ORDER_REFUNDED: 'Order Refunded',
+    ORDER_FAILED: 'Order Failed',
+};
+
+// Statuses in which an order is in a driver's hands. Entries of `inProgressOrderID` in any other
+// status are stale.
+const DRIVER_ACTIVE_ORDER_STATUSES = [
+    ORDER_STATUS.DRIVER_ASSIGNED,
+    ORDER_STATUS.ORDER_PICKED_UP,
+    ORDER_STATUS.ORDER_IN_TRANSIT,
+];
+
+// Allowed next states for each order status. Terminal states map to an empty list.
+const ORDER_STATUS_TRANSITIONS = {
+    [ORDER_STATUS.ORDER_PLACED]: [ORDER_STATUS.ORDER_ACCEPTED, ORDER_STATUS.ORDER_CANCELLED, ORDER_STATUS.ORDER_FAILED],
+    [ORDER_STATUS.ORDER_ACCEPTED]: [ORDER_STATUS.ORDER_PREPARING, ORDER_STATUS.ORDER_CANCELLED, ORDER_STATUS.ORDER_FAILED],
+    [ORDER_STATUS.ORDER_PREPARING]: [ORDER_STATUS.ORDER_READY, ORDER_STATUS.DRIVER_PENDING, ORDER_STATUS.ORDER_CANCELLED, ORDER_STATUS.ORDER_FAILED],
+    [ORDER_STATUS.ORDER_READY]: [ORDER_STATUS.DRIVER_PENDING, ORDER_STATUS.ORDER_CANCELLED, ORDER_STATUS.ORDER_FAILED],
+    [ORDER_STATUS.DRIVER_PENDING]: [ORDER_STATUS.DRIVER_ASSIGNED, ORDER_STATUS.ORDER_CANCELLED, ORDER_STATUS.ORDER_FAILED],
+    [ORDER_STATUS.DRIVER_ASSIGNED]: [ORDER_STATUS.ORDER_PICKED_UP, ORDER_STATUS.DRIVER_PENDING, ORDER_STATUS.ORDER_CANCELLED, ORDER_STATUS.ORDER_FAILED],
+    [ORDER_STATUS.ORDER_PICKED_UP]: [ORDER_STATUS.ORDER_IN_TRANSIT, ORDER_STATUS.ORDER_FAILED],
+    [ORDER_STATUS.ORDER_IN_TRANSIT]: [ORDER_STATUS.ORDER_DELIVERED, ORDER_STATUS.ORDER_FAILED],
+    [ORDER_STATUS.ORDER_DELIVERED]: [ORDER_STATUS.ORDER_REFUNDED],
+    [ORDER_STATUS.ORDER_CANCELLED]: [ORDER_STATUS.ORDER_REFUNDED],
+    [ORDER_STATUS.ORDER_FAILED]: [ORDER_STATUS.ORDER_REFUNDED],
+    [ORDER_STATUS.ORDER_REFUNDED]: [],
+};
+
+const FRAUD_CASE_STATUS = {
+    OPEN: 'open',
+    INVESTIGATING: 'investigating',
+    CLEARED: 'cleared',
+    CONFIRMED: 'confirmed',
+};
+
+// Cleared reinstates the user, confirmed bans them; both are final.
+const FRAUD_CASE_STATUS_TRANSITIONS = {
+    [FRAUD_CASE_STATUS.OPEN]: [FRAUD_CASE_STATUS.INVESTIGATING, FRAUD_CASE_STATUS.CLEARED, FRAUD_CASE_STATUS.CONFIRMED],
+    [FRAUD_CASE_STATUS.INVESTIGATING]: [FRAUD_CASE_STATUS.CLEARED, FRAUD_CASE_STATUS.CONFIRMED],
+    [FRAUD_CASE_STATUS.CLEARED]: [],
+    [FRAUD_CASE_STATUS.CONFIRMED]: [],
 };
 
 module.exports = {
     SECURITY_CONFIG,
-    ORDER_STATUS
+    USER_ROLES,
+    ORDER_STATUS,
+    ORDER_STATUS_TRANSITIONS,
+    DRIVER_ACTIVE_ORDER_STATUSES,
+    FRAUD_CASE_STATUS,
+    FRAUD_CASE_STATUS_TRANSITIONS
 };
\ No newline at end of file
@@ -18,16 +18,128 @@ function distanceRadius(lat1, lon1, lat2, lon2) {
     return d;
 }
 
-// Mock function for getting available drivers (in a real app, this would query Firestore/DB)
-async function getAvailableDrivers(orderId, orderData, dispatchMetadata) {
-    console.log(`MOCK: Getting available drivers for order ${orderId}`);
-    // Simulate fetching drivers from a database or service
-    const mockDrivers = [
-        { id: 'driver1', location: { latitude: 34.052235, longitude: -118.243683 }, active: true, isActive: true, lastSeenOnline: _admin.firestore.Timestamp.fromDate(new Date()), orderRequestData: [], preferredVendors: ['vendorA'] },
-        { id: 'driver2', location: { latitude: 34.05, longitude: -118.25 }, active: true, isActive: true, lastSeenOnline: _admin.firestore.Timestamp.fromDate(new Date()), orderRequestData: [{ orderId: orderId, type: 'pickup' }], preferredVendors: ['vendorB'] },
-        { id: 'driver3', location: { latitude: 34.055, longitude: -118.26 }, active: true, isActive: true, lastSeenOnline: _admin.firestore.Timestamp.fromDate(new Date()), orderRequestData: [], preferredVendors: [] },
-    ];
-    return mockDrivers;
+// --- Geohash helpers ---
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const MILES_PER_DEGREE_LAT = 69;
+
+function encodeGeohash(latitude, longitude, precision = 9) {
+    const latRange = [-90, 90];
+    const lngRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let bitCount = 0;
+    let evenBit = true; // Geohash interleaves bits starting with longitude
+
+    while (hash.length < precision) {
+        const range = evenBit ? lngRange : latRange;
+        const value = evenBit ? longitude : latitude;
+        const mid = (range[0] + range[1]) / 2;
+        bits <<= 1;
+        if (value >= mid) {
+            bits |= 1;
+            range[0] = mid;
+        } else {
+            range[1] = mid;
+        }
+        evenBit = !evenBit;
+
+        if (++bitCount === 5) {
+            hash += GEOHASH_BASE32[bits];
+            bits = 0;
+            bitCount = 0;
+        }
+    }
+    return hash;
+}
+
+// Cell height/width in degrees for a geohash precision.
+function geohashCellSize(precision) {
+    const totalBits = precision * 5;
+    return {
+        latDegrees: 180 / Math.pow(2, Math.floor(totalBits / 2)),
+        lngDegrees: 360 / Math.pow(2, Math.ceil(totalBits / 2))
+    };
+}
+
+// [start, end] geohash ranges covering a circle: the finest precision whose cells are at least
+// `radiusMiles` across, for the centre cell and its 8 neighbours.
+function geohashQueryBounds(latitude, longitude, radiusMiles) {
+    let precision = 1;
+    for (let candidate = 9; candidate >= 1; candidate--) {
+        const { latDegrees, lngDegrees } = geohashCellSize(candidate);
+        const milesPerDegreeLng = MILES_PER_DEGREE_LAT * Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+        if (latDegrees * MILES_PER_DEGREE_LAT >= radiusMiles && lngDegrees * milesPerDegreeLng >= radiusMiles) {
+            precision = candidate;
+            break;
+        }
+    }
+
+    const { latDegrees, lngDegrees } = geohashCellSize(precision);
+    const hashes = new Set();
+    [-1, 0, 1].forEach(dLat => {
+        [-1, 0, 1].forEach(dLng => {
+            const lat = Math.max(-90, Math.min(90, latitude + dLat * latDegrees));
+            const lng = ((longitude + dLng * lngDegrees + 540) % 360) - 180; // Wrap across the antimeridian
+            hashes.add(encodeGeohash(lat, lng, precision));
+        });
+    });
+
+    // '~' sorts after every base32 character, so the range holds all hashes with the prefix.
+    return Array.from(hashes).map(hash => [hash, `${hash}~`]);
+}
+
+const DRIVER_LOCATION_MAX_AGE_MINUTES = 10; // Same freshness window as the spatial index
+
+// Online, idle drivers within the dispatch radius of the vendor and inside the order's zone
+// (`dispatchMetadata.zone_id`, when set). Only the geohash cells covering the radius are read
+// (users: role + geohash composite index), then distance, active flags, `lastSeenOnline` freshness,
+// `inProgressOrderID` and zone membership are checked in memory. Drivers already holding orders are
+// left to OrderBatchingEngine.
+async function getAvailableDrivers(orderId, orderData, dispatchMetadata = {}) {
+    const center = orderData.vendor;
+    if (typeof center?.latitude !== 'number' || typeof center?.longitude !== 'number') {
+        console.warn(`getAvailableDrivers: order ${orderId} has no vendor location`);
+        return [];
+    }
+    const radiusMiles = dispatchMetadata.kDistanceRadiusForDispatchInMiles || 10;
+
+    // Required here because 005-zone-management itself loads this module.
+    const ZoneManagement = require('./005-zone-management');
+    const zone = dispatchMetadata.zone_id ?
+        (await ZoneManagement.getZones()).find(z => z.id === dispatchMetadata.zone_id) || null : null;
+
+    const snapshots = await Promise.all(
+        geohashQueryBounds(center.latitude, center.longitude, radiusMiles).map(([start, end]) =>
+            _firestore.collection('users')
+                .where('role', '==', 'driver')
+                .orderBy('geohash')
+                .startAt(start)
+                .endAt(end)
+                .get()
+        )
+    );
+
+    const freshAfter = Date.now() - DRIVER_LOCATION_MAX_AGE_MINUTES * 60 * 1000;
+    const drivers = new Map();
+
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+        if (drivers.has(doc.id)) return;
+        const driver = { id: doc.id, ...doc.data() };
+
+        if (!driver.active || !driver.isActive) return;
+        if ((driver.inProgressOrderID || []).length > 0) return;
+        if (!driver.lastSeenOnline?.toMillis || driver.lastSeenOnline.toMillis() < freshAfter) return;
+        if (typeof driver.location?.latitude !== 'number' || typeof driver.location?.longitude !== 'number') return;
+        if (zone && !ZoneManagement.pointInGeometry(driver.location.latitude, driver.location.longitude, zone.geometry)) return;
+
+        const distance = distanceRadius(center.latitude, center.longitude, driver.location.latitude, driver.location.longitude);
+        if (distance <= radiusMiles) {
+            drivers.set(doc.id, { ...driver, distance });
+        }
+    }));
+
+    console.log(`getAvailableDrivers: ${drivers.size} idle drivers within ${radiusMiles} mi of order ${orderId}`);
+    return Array.from(drivers.values());
 }
 
 // Mock function for getting driver nearby data (for preloading cache)
@@ -86,6 +198,8 @@ class CacheManager {
 
 module.exports = {
     distanceRadius,
+    encodeGeohash,
+    geohashQueryBounds,
     getAvailableDrivers,
     getDriverNearByData,
     CacheManager // Exporting the CacheManager class as well, assuming it's a utility used elsewhere
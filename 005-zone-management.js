@@ -1,9 +1,400 @@
 // 005-zone-management.js
-// Placeholder for zone management functions.
+// Delivery zones stored as GeoJSON Polygon/MultiPolygon documents in the `zones` collection,
+// with point-in-zone lookup and zone-level dispatch settings.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { CacheManager } = require('./003-utilities-helpers');
+const DriverSortingPrioritization = require('./011-driver-sorting-prioritization');
+
 class ZoneManagement {
-    static getZones() {
+    static zonesCollection = 'zones';
+    static zonesCacheKey = 'zone_data_all';
+
+    static defaultSettings = {
+        dispatchRadiusMiles: 10,
+        maxDispatchRadiusMiles: 30,
+        surgeMultiplier: 1.0,
+        timezone: 'UTC',
+        weeklySchedule: null, // { mon: [{ open: 'HH:MM', close: 'HH:MM' }], ... }, null means always open
+        closures: [] // [{ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', reason }], inclusive local dates
+    };
+
+    static weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    static timeFormatters = new Map(); // Map<timeZone, Intl.DateTimeFormat>
+
+    static async getZones() {
         console.log("Retrieving delivery zones...");
-        return [{ id: 'north', name: 'North Zone', boundaries: '...' }, { id: 'south', name: 'South Zone', boundaries: '...' }];
+        const cached = await CacheManager.get(this.zonesCacheKey);
+        if (cached) return cached;
+
+        const snapshot = await _firestore.collection(this.zonesCollection)
+            .where('active', '==', true)
+            .get();
+
+        const zones = snapshot.docs.map(doc => this.fromFirestore(doc));
+        await CacheManager.set(this.zonesCacheKey, zones, CacheManager.TTL_MINUTES.ZONE_DATA);
+        return zones;
+    }
+
+    static async getZone(zoneId) {
+        const doc = await _firestore.collection(this.zonesCollection).doc(zoneId).get();
+        if (!doc.exists) {
+            throw new _functions.https.HttpsError('not-found', `Zone ${zoneId} not found`);
+        }
+        return this.fromFirestore(doc);
+    }
+
+    // Firestore cannot store nested arrays, so the GeoJSON geometry is persisted as a string
+    // and parsed back here.
+    static fromFirestore(doc) {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            geometry: typeof data.geometry === 'string' ? JSON.parse(data.geometry) : data.geometry,
+            settings: { ...this.defaultSettings, ...(data.settings || {}) }
+        };
+    }
+
+    // Resolves the zone containing the point. Bounding boxes filter candidates before the
+    // polygon test; overlapping zones are broken by `priority` (highest wins).
+    static async resolveZoneForLocation(latitude, longitude) {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+
+        const zones = await this.getZones();
+        const matches = zones.filter(zone =>
+            zone.bbox &&
+            latitude >= zone.bbox.minLat && latitude <= zone.bbox.maxLat &&
+            longitude >= zone.bbox.minLng && longitude <= zone.bbox.maxLng &&
+            this.pointInGeometry(latitude, longitude, zone.geometry)
+        );
+
+        if (matches.length === 0) return null;
+        return matches.sort((a, b) => (b.priority || 0) - (a.priority || 0))[0];
+    }
+
+    static pointInGeometry(latitude, longitude, geometry) {
+        if (!geometry) return false;
+        if (geometry.type === 'Polygon') {
+            return this.pointInPolygon(latitude, longitude, geometry.coordinates);
+        }
+        if (geometry.type === 'MultiPolygon') {
+            return geometry.coordinates.some(polygon => this.pointInPolygon(latitude, longitude, polygon));
+        }
+        return false;
+    }
+
+    // Inside the outer ring and outside every hole.
+    static pointInPolygon(latitude, longitude, rings) {
+        if (!rings.length || !this.pointInRing(latitude, longitude, rings[0])) return false;
+        return !rings.slice(1).some(hole => this.pointInRing(latitude, longitude, hole));
+    }
+
+    // Ray casting over a GeoJSON ring of [longitude, latitude] positions.
+    static pointInRing(latitude, longitude, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            const intersects = ((yi > latitude) !== (yj > latitude)) &&
+                (longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi);
+            if (intersects) inside = !inside;
+        }
+        return inside;
+    }
+
+    static validateGeometry(geometry) {
+        if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'Zone geometry must be a GeoJSON Polygon or MultiPolygon');
+        }
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        if (!Array.isArray(polygons) || polygons.length === 0) {
+            throw new _functions.https.HttpsError('invalid-argument', 'Zone geometry has no polygons');
+        }
+
+        polygons.forEach(rings => {
+            if (!Array.isArray(rings) || rings.length === 0) {
+                throw new _functions.https.HttpsError('invalid-argument', 'Polygon must have at least one ring');
+            }
+            rings.forEach(ring => {
+                if (!Array.isArray(ring) || ring.length < 4) {
+                    throw new _functions.https.HttpsError('invalid-argument', 'Each ring needs at least 4 positions');
+                }
+                ring.forEach(position => {
+                    const [lng, lat] = position || [];
+                    if (typeof lng !== 'number' || typeof lat !== 'number' ||
+                        Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+                        throw new _functions.https.HttpsError('invalid-argument', `Invalid position: ${JSON.stringify(position)}`);
+                    }
+                });
+                const first = ring[0];
+                const last = ring[ring.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    throw new _functions.https.HttpsError('invalid-argument', 'Polygon rings must be closed');
+                }
+            });
+        });
+
+        return { type: geometry.type, coordinates: geometry.coordinates };
+    }
+
+    static computeBoundingBox(geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const bbox = { minLat: 90, maxLat: -90, minLng: 180, maxLng: -180 };
+
+        polygons.forEach(rings => rings[0].forEach(([lng, lat]) => {
+            bbox.minLat = Math.min(bbox.minLat, lat);
+            bbox.maxLat = Math.max(bbox.maxLat, lat);
+            bbox.minLng = Math.min(bbox.minLng, lng);
+            bbox.maxLng = Math.max(bbox.maxLng, lng);
+        }));
+
+        return bbox;
+    }
+
+    static validateSettings(settings = {}) {
+        const merged = { ...this.defaultSettings, ...settings };
+        const { dispatchRadiusMiles, maxDispatchRadiusMiles, surgeMultiplier, timezone, weeklySchedule, closures } = merged;
+
+        if (!(dispatchRadiusMiles > 0) || !(maxDispatchRadiusMiles >= dispatchRadiusMiles)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'Radius settings must satisfy 0 < dispatchRadiusMiles <= maxDispatchRadiusMiles');
+        }
+        if (!(surgeMultiplier >= 1 && surgeMultiplier <= 5)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'surgeMultiplier must be between 1 and 5');
+        }
+
+        try {
+            this.getTimeFormatter(timezone);
+        } catch (error) {
+            throw new _functions.https.HttpsError('invalid-argument', `Unknown timezone: ${timezone}`);
+        }
+
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if (weeklySchedule !== null) {
+            if (typeof weeklySchedule !== 'object') {
+                throw new _functions.https.HttpsError('invalid-argument', 'weeklySchedule must be an object keyed by weekday');
+            }
+            Object.entries(weeklySchedule).forEach(([day, windows]) => {
+                if (!this.weekdays.includes(day) || !Array.isArray(windows)) {
+                    throw new _functions.https.HttpsError('invalid-argument', `Invalid weeklySchedule entry: ${day}`);
+                }
+                windows.forEach(window => {
+                    if (!timePattern.test(window?.open) || !timePattern.test(window?.close) || window.open === window.close) {
+                        throw new _functions.https.HttpsError('invalid-argument', `Invalid opening window on ${day}: ${JSON.stringify(window)}`);
+                    }
+                });
+            });
+        }
+
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (!Array.isArray(closures) || closures.some(c => !datePattern.test(c?.from) || !datePattern.test(c?.to) || c.from > c.to)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'closures must be [{ from: "YYYY-MM-DD", to: "YYYY-MM-DD" }] with from <= to');
+        }
+
+        return { dispatchRadiusMiles, maxDispatchRadiusMiles, surgeMultiplier, timezone, weeklySchedule, closures };
+    }
+
+    // Unset fields fall back to OrderBatchingEngine.defaultSettings.
+    static validateBatchingSettings(batching) {
+        if (typeof batching !== 'object' || Array.isArray(batching)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'dispatchSettings.batching must be an object');
+        }
+        const { maxBatchSize, maxVendorDistanceMiles, maxBearingDifferenceDegrees, averageSpeedMph, defaultPromisedMinutes } = batching;
+
+        if (maxBatchSize !== undefined && !(Number.isInteger(maxBatchSize) && maxBatchSize >= 1 && maxBatchSize <= 10)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'batching.maxBatchSize must be an integer between 1 and 10');
+        }
+        if (maxBearingDifferenceDegrees !== undefined && !(maxBearingDifferenceDegrees >= 0 && maxBearingDifferenceDegrees <= 180)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'batching.maxBearingDifferenceDegrees must be between 0 and 180');
+        }
+        const positive = { maxVendorDistanceMiles, averageSpeedMph, defaultPromisedMinutes };
+        Object.entries(positive).forEach(([name, value]) => {
+            if (value !== undefined && !(value > 0)) {
+                throw new _functions.https.HttpsError('invalid-argument', `batching.${name} must be positive`);
+            }
+        });
+    }
+
+    // --- Operating hours ---
+
+    static getTimeFormatter(timeZone) {
+        if (!this.timeFormatters.has(timeZone)) {
+            this.timeFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }));
+        }
+        return this.timeFormatters.get(timeZone);
+    }
+
+    static getLocalTimeParts(date, timeZone) {
+        const parts = {};
+        this.getTimeFormatter(timeZone).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+        const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+        return {
+            date: localDate,
+            weekday: this.getWeekday(localDate),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+            seconds: Number(parts.second)
+        };
+    }
+
+    static getWeekday(localDate) {
+        const [y, m, d] = localDate.split('-').map(Number);
+        return this.weekdays[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+    }
+
+    static shiftDate(localDate, days) {
+        const [y, m, d] = localDate.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+    }
+
+    static toMinutes(hhmm) {
+        const [h, m] = hhmm.split(':').map(Number);
+        return h * 60 + m;
+    }
+
+    // Milliseconds the wall clock in `timeZone` is ahead of UTC at `date` (negative west of UTC).
+    static getUtcOffsetMs(date, timeZone) {
+        const ms = date.getTime();
+        const local = this.getLocalTimeParts(date, timeZone);
+        const [ly, lm, ld] = local.date.split('-').map(Number);
+        return Date.UTC(ly, lm - 1, ld, 0, local.minutes, local.seconds) - Math.floor(ms / 1000) * 1000;
+    }
+
+    // Converts a wall-clock time in `timeZone` to a UTC Date. The second pass corrects for DST
+    // transitions between the guess and the result.
+    static zonedTimeToUtc(localDate, minutes, timeZone) {
+        const [y, m, d] = localDate.split('-').map(Number);
+        const wallClockAsUtc = Date.UTC(y, m - 1, d, 0, minutes);
+
+        let utc = wallClockAsUtc - this.getUtcOffsetMs(new Date(wallClockAsUtc), timeZone);
+        utc = wallClockAsUtc - this.getUtcOffsetMs(new Date(utc), timeZone);
+        return new Date(utc);
+    }
+
+    static isClosedOn(closures = [], localDate) {
+        return closures.some(closure => localDate >= closure.from && localDate <= closure.to);
+    }
+
+    static isZoneOpen(zone, date = new Date()) {
+        const settings = { ...this.defaultSettings, ...(zone?.settings || {}) };
+        const local = this.getLocalTimeParts(date, settings.timezone);
+
+        if (this.isClosedOn(settings.closures, local.date)) return false;
+        if (!settings.weeklySchedule) return true;
+
+        const todayWindows = settings.weeklySchedule[local.weekday] || [];
+        const openToday = todayWindows.some(window => {
+            const open = this.toMinutes(window.open);
+            const close = this.toMinutes(window.close);
+            return close > open ?
+                local.minutes >= open && local.minutes < close :
+                local.minutes >= open; // Overnight window, runs past midnight
+        });
+        if (openToday) return true;
+
+        // Overnight windows that started yesterday, unless yesterday was a closure day.
+        const yesterday = this.shiftDate(local.date, -1);
+        if (this.isClosedOn(settings.closures, yesterday)) return false;
+        return (settings.weeklySchedule[this.getWeekday(yesterday)] || []).some(window =>
+            this.toMinutes(window.close) <= this.toMinutes(window.open) &&
+            local.minutes < this.toMinutes(window.close)
+        );
+    }
+
+    // Next instant (within `horizonDays`) at which the zone is open, or null.
+    static getNextOpeningTime(zone, from = new Date(), horizonDays = 14) {
+        if (this.isZoneOpen(zone, from)) return from;
+
+        const settings = { ...this.defaultSettings, ...(zone?.settings || {}) };
+        const startDate = this.getLocalTimeParts(from, settings.timezone).date;
+        const candidates = [];
+
+        for (let offset = 0; offset <= horizonDays; offset++) {
+            const localDate = this.shiftDate(startDate, offset);
+            // Local midnight covers closures ending and zones without a weekly schedule.
+            candidates.push(this.zonedTimeToUtc(localDate, 0, settings.timezone));
+            const windows = settings.weeklySchedule?.[this.getWeekday(localDate)] || [];
+            windows.forEach(window => {
+                candidates.push(this.zonedTimeToUtc(localDate, this.toMinutes(window.open), settings.timezone));
+            });
+        }
+
+        return candidates
+            .filter(candidate => candidate > from)
+            .sort((a, b) => a - b)
+            .find(candidate => this.isZoneOpen(zone, candidate)) || null;
+    }
+
+    static buildZoneDocument(zoneData) {
+        const geometry = this.validateGeometry(zoneData.geometry);
+        if (!zoneData.name || typeof zoneData.name !== 'string') {
+            throw new _functions.https.HttpsError('invalid-argument', 'Zone name is required');
+        }
+
+        if (zoneData.dispatchSettings?.prioritization) {
+            DriverSortingPrioritization.validateCriteria(zoneData.dispatchSettings.prioritization);
+        }
+        if (zoneData.dispatchSettings?.batching) {
+            this.validateBatchingSettings(zoneData.dispatchSettings.batching);
+        }
+
+        return {
+            name: zoneData.name,
+            active: zoneData.active !== false,
+            priority: Number(zoneData.priority) || 0,
+            geometry: JSON.stringify(geometry),
+            bbox: this.computeBoundingBox(geometry),
+            settings: this.validateSettings(zoneData.settings),
+            ...(zoneData.dispatchSettings ? { dispatchSettings: zoneData.dispatchSettings } : {})
+        };
+    }
+
+    static async createZone(zoneData, actor = {}) {
+        const zoneDoc = this.buildZoneDocument(zoneData);
+        const zoneRef = await _firestore.collection(this.zonesCollection).add({
+            ...zoneDoc,
+            createdBy: actor.uid || 'system',
+            createdAt: _admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: _admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        await CacheManager.invalidate('zone_data');
+        return { id: zoneRef.id };
+    }
+
+    static async updateZone(zoneId, updates, actor = {}) {
+        const existing = await this.getZone(zoneId);
+        const zoneDoc = this.buildZoneDocument({
+            ...existing,
+            ...updates,
+            settings: { ...existing.settings, ...(updates.settings || {}) }
+        });
+
+        await _firestore.collection(this.zonesCollection).doc(zoneId).update({
+            ...zoneDoc,
+            updatedBy: actor.uid || 'system',
+            updatedAt: _admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        await CacheManager.invalidate('zone_data');
+        return { id: zoneId };
+    }
+
+    // Soft delete: historic orders keep pointing at the zone id.
+    static async deleteZone(zoneId, actor = {}) {
+        await this.getZone(zoneId);
+        await _firestore.collection(this.zonesCollection).doc(zoneId).update({
+            active: false,
+            deletedBy: actor.uid || 'system',
+            deletedAt: _admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        await CacheManager.invalidate('zone_data');
+        return { id: zoneId };
     }
 }
-module.exports = ZoneManagement;
\ No newline at end of file
+module.exports = ZoneManagement;
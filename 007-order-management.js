@@ -1,13 +1,176 @@
 // 007-order-management.js
-// Placeholder for core order management functions.
+// Core order management: Firestore-backed order lifecycle state machine.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { ORDER_STATUS, ORDER_STATUS_TRANSITIONS } = require('./002-constants-definition');
+const ZoneManagement = require('./005-zone-management');
+
 class OrderManagement {
-    static createOrder(orderDetails) {
-        console.log(`Creating order: ${orderDetails.id}`);
-        // Logic to save order to Firestore
+    static ordersCollection = 'restaurant_orders';
+    static historyCollection = 'status_history'; // Subcollection on every order document
+    static releasesDriverStatuses = [
+        ORDER_STATUS.ORDER_DELIVERED,
+        ORDER_STATUS.ORDER_CANCELLED,
+        ORDER_STATUS.ORDER_FAILED,
+        ORDER_STATUS.ORDER_REFUNDED
+    ];
+
+    static async createOrder(orderDetails, actor = {}) {
+        const orderRef = orderDetails.id ?
+            _firestore.collection(this.ordersCollection).doc(orderDetails.id) :
+            _firestore.collection(this.ordersCollection).doc();
+
+        console.log(`Creating order: ${orderRef.id}`);
+
+        const { id, status, ...details } = orderDetails; // Status is always owned by the state machine
+        const changedBy = this.normalizeActor(actor);
+
+        const zone = await this.resolveOrderZone(details);
+        if (zone && !ZoneManagement.isZoneOpen(zone)) {
+            const nextOpening = ZoneManagement.getNextOpeningTime(zone);
+            throw new _functions.https.HttpsError('failed-precondition', `Zone ${zone.name || zone.id} is currently closed`, {
+                reason: 'zone_closed',
+                zoneId: zone.id,
+                nextOpeningTime: nextOpening ? nextOpening.toISOString() : null
+            });
+        }
+
+        await _firestore.runTransaction(async (transaction) => {
+            const existing = await transaction.get(orderRef);
+            if (existing.exists) {
+                throw new _functions.https.HttpsError('already-exists', `Order ${orderRef.id} already exists`);
+            }
+
+            transaction.set(orderRef, {
+                ...details,
+                zoneId: zone?.id || null,
+                status: ORDER_STATUS.ORDER_PLACED,
+                createdAt: _admin.firestore.FieldValue.serverTimestamp(),
+                statusUpdatedAt: _admin.firestore.FieldValue.serverTimestamp(),
+                statusUpdatedBy: changedBy
+            });
+
+            this.recordStatusHistory(transaction, orderRef, null, ORDER_STATUS.ORDER_PLACED, changedBy);
+        });
+
+        return { id: orderRef.id, status: ORDER_STATUS.ORDER_PLACED };
     }
-    static updateOrderStatus(orderId, newStatus) {
+
+    // Status changes requested by users and operators. Driver Assigned is excluded: only
+    // DriverAssignmentDispatch.assignDriverToOrder sets it, together with the driver and round state.
+    static async updateOrderStatus(orderId, newStatus, actor = {}, metadata = {}) {
         console.log(`Updating order ${orderId} status to ${newStatus}`);
-        // Logic to update order status
+        if (newStatus === ORDER_STATUS.DRIVER_ASSIGNED) {
+            throw new _functions.https.HttpsError('invalid-argument',
+                `Order ${orderId} can only be assigned to a driver through dispatch`);
+        }
+        const orderRef = _firestore.collection(this.ordersCollection).doc(orderId);
+
+        return _firestore.runTransaction(async (transaction) => {
+            const orderDoc = await transaction.get(orderRef);
+            if (!orderDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Order ${orderId} not found`);
+            }
+
+            return this.applyStatusTransition(transaction, orderRef, orderDoc.data(), newStatus, actor, metadata);
+        });
+    }
+
+    // Orders belong to the zone of their vendor.
+    static async resolveOrderZone(details) {
+        let location = details.vendor;
+        if (typeof location?.latitude !== 'number' && details.vendorID) {
+            const vendorDoc = await _firestore.collection('vendors').doc(details.vendorID).get();
+            location = vendorDoc.exists ? vendorDoc.data() : null;
+        }
+        if (!location) return null;
+
+        return ZoneManagement.resolveZoneForLocation(location.latitude, location.longitude);
+    }
+
+    // Validates and writes a transition inside a caller-owned transaction.
+    // `extraFields` are merged into the order update (e.g. driverID on assignment).
+    static applyStatusTransition(transaction, orderRef, orderData, newStatus, actor = {}, metadata = {}, extraFields = {}) {
+        const currentStatus = orderData.status;
+        this.assertTransition(orderRef.id, currentStatus, newStatus);
+
+        const changedBy = this.normalizeActor(actor);
+
+        // Unassigning puts the order back up for dispatch, which requires it to have no driver and no
+        // round state: a leftover round would be resumed by the sweeper and block dispatchOrder.
+        const unassigned = currentStatus === ORDER_STATUS.DRIVER_ASSIGNED && newStatus === ORDER_STATUS.DRIVER_PENDING;
+        const clearedAssignment = unassigned ? {
+            driverID: _admin.firestore.FieldValue.delete(),
+            assignedAt: _admin.firestore.FieldValue.delete(),
+            batchId: _admin.firestore.FieldValue.delete(),
+            dispatchMetadata: _admin.firestore.FieldValue.delete()
+        } : {};
+
+        transaction.update(orderRef, {
+            ...clearedAssignment,
+            ...extraFields,
+            status: newStatus,
+            previousStatus: currentStatus,
+            statusUpdatedAt: _admin.firestore.FieldValue.serverTimestamp(),
+            statusUpdatedBy: changedBy
+        });
+
+        this.recordStatusHistory(transaction, orderRef, currentStatus, newStatus, changedBy, metadata);
+
+        // The driver is free for new orders once this one is finished or taken away from them. A merge
+        // set keeps the transition from failing when the driver account no longer exists.
+        if (orderData.driverID && (unassigned || this.releasesDriverStatuses.includes(newStatus))) {
+            transaction.set(_firestore.collection('users').doc(orderData.driverID), {
+                inProgressOrderID: _admin.firestore.FieldValue.arrayRemove(orderRef.id)
+            }, { merge: true });
+        }
+
+        return { id: orderRef.id, previousStatus: currentStatus, status: newStatus };
+    }
+
+    static canTransition(fromStatus, toStatus) {
+        const allowed = ORDER_STATUS_TRANSITIONS[fromStatus];
+        return Array.isArray(allowed) && allowed.includes(toStatus);
+    }
+
+    static assertTransition(orderId, fromStatus, toStatus) {
+        if (!Object.values(ORDER_STATUS).includes(toStatus)) {
+            throw new _functions.https.HttpsError('invalid-argument', `Unknown order status: ${toStatus}`);
+        }
+        if (!this.canTransition(fromStatus, toStatus)) {
+            throw new _functions.https.HttpsError('failed-precondition',
+                `Illegal status transition for order ${orderId}: ${fromStatus} -> ${toStatus}`);
+        }
+    }
+
+    static isTerminalStatus(status) {
+        return (ORDER_STATUS_TRANSITIONS[status] || []).length === 0;
+    }
+
+    static recordStatusHistory(transaction, orderRef, fromStatus, toStatus, changedBy, metadata = {}) {
+        const historyRef = orderRef.collection(this.historyCollection).doc();
+        transaction.set(historyRef, {
+            fromStatus,
+            toStatus,
+            changedBy,
+            metadata,
+            timestamp: _admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    static normalizeActor(actor = {}) {
+        return {
+            uid: actor.uid || 'system',
+            role: actor.role || (actor.uid ? 'unknown' : 'system')
+        };
+    }
+
+    static async getStatusHistory(orderId) {
+        const snapshot = await _firestore.collection(this.ordersCollection).doc(orderId)
+            .collection(this.historyCollection)
+            .orderBy('timestamp', 'asc')
+            .get();
+
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     }
 }
-module.exports = OrderManagement;
\ No newline at end of file
+module.exports = OrderManagement;
@@ -1,13 +1,146 @@
 // 008-driver-order-requests.js
-// Placeholder for managing driver requests for orders.
+// Manages order offers stored in each driver's `orderRequestData` array.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const DriverAssignmentDispatch = require('./010-driver-assignment-dispatch');
+const AdvancedNotificationService = require('./022-multi-channel-notifications');
+
 class DriverOrderRequests {
-    static assignOrderToDriver(orderId, driverId) {
+    static async sendOrderRequest(orderId, driverId, offer = {}) {
+        const { round = 1, acceptanceWindowSeconds = 60, matchScore = null } = offer;
+        const now = Date.now();
+        const request = {
+            orderId,
+            type: 'pickup',
+            round,
+            matchScore,
+            offeredAt: _admin.firestore.Timestamp.fromMillis(now),
+            expiresAt: _admin.firestore.Timestamp.fromMillis(now + acceptanceWindowSeconds * 1000)
+        };
+
+        await _firestore.collection('users').doc(driverId).update({
+            orderRequestData: _admin.firestore.FieldValue.arrayUnion(request)
+        });
+
+        return request;
+    }
+
+    // Prompts the driver to answer an offer within its acceptance window. `driver` is the driver
+    // document (with `id`) the offer was sent to.
+    static async notifyDriverOfOffer(driver, orderId, orderData, request) {
+        const seconds = Math.round((request.expiresAt.toMillis() - request.offeredAt.toMillis()) / 1000);
+        const message = {
+            title: 'New delivery offer',
+            body: `Order ${orderId}${orderData.vendor?.title ? ` at ${orderData.vendor.title}` : ''}: accept within ${seconds}s.`,
+            data: { orderId, type: 'order_offer', round: String(request.round), expiresAt: request.expiresAt.toDate().toISOString() },
+            channelId: 'orders'
+        };
+        const recipient = { ...driver, role: 'driver' };
+
+        try {
+            const channels = await AdvancedNotificationService.getOptimalNotificationChannels(recipient, message, 'urgent');
+            return await AdvancedNotificationService.sendMultiChannelNotification(recipient, message, 'urgent', channels);
+        } catch (error) {
+            // The offer is stored and shows up in the driver app either way.
+            console.error(`Failed to notify driver ${driver.id} of offer ${orderId}:`, error.message);
+            return null;
+        }
+    }
+
+    // arrayRemove needs the exact element, so offers are filtered by orderId instead.
+    static async withdrawOrderRequest(orderId, driverIds = []) {
+        await Promise.all(driverIds.map(driverId => {
+            const driverRef = _firestore.collection('users').doc(driverId);
+            return _firestore.runTransaction(async (transaction) => {
+                const driverDoc = await transaction.get(driverRef);
+                if (!driverDoc.exists) return;
+
+                const requests = driverDoc.data().orderRequestData || [];
+                const remaining = requests.filter(request => request.orderId !== orderId);
+                if (remaining.length !== requests.length) {
+                    transaction.update(driverRef, { orderRequestData: remaining });
+                }
+            }).catch(error => console.error(`Failed to withdraw offer ${orderId} from driver ${driverId}:`, error.message));
+        }));
+    }
+
+    static async assignOrderToDriver(orderId, driverId, actor = {}) {
         console.log(`Assigning order ${orderId} to driver ${driverId}`);
-        // Logic to assign order and notify driver
+        const orderDoc = await _firestore.collection('restaurant_orders').doc(orderId).get();
+        const dispatchMetadata = orderDoc.exists ? (orderDoc.data().dispatchMetadata || {}) : {};
+
+        const assigned = await DriverAssignmentDispatch.assignDriverToOrder(orderId, driverId, actor, dispatchMetadata,
+            dispatchMetadata.roundScores?.[driverId] || {});
+        if (!assigned) {
+            throw new _functions.https.HttpsError('failed-precondition', `Driver ${driverId} is not available`);
+        }
+
+        const otherDrivers = (dispatchMetadata.offeredDriverIds || []).filter(id => id !== driverId);
+        await this.withdrawOrderRequest(orderId, [driverId, ...otherDrivers]);
+
+        return assigned;
+    }
+
+    // Returns the driver's offer for the order, throwing if there is none or it has expired.
+    static async getLiveOffer(orderId, driverId, { allowExpired = false } = {}) {
+        const driverDoc = await _firestore.collection('users').doc(driverId).get();
+        if (!driverDoc.exists) {
+            throw new _functions.https.HttpsError('not-found', `Driver ${driverId} not found`);
+        }
+
+        const offer = (driverDoc.data().orderRequestData || []).find(request => request.orderId === orderId);
+        if (!offer) {
+            throw new _functions.https.HttpsError('failed-precondition', `No offer for order ${orderId} held by driver ${driverId}`);
+        }
+
+        const expiresAtMs = offer.expiresAt?.toMillis ? offer.expiresAt.toMillis() : Number(offer.expiresAt);
+        const expired = Number.isFinite(expiresAtMs) && expiresAtMs <= Date.now();
+        if (expired && !allowExpired) {
+            await this.withdrawOrderRequest(orderId, [driverId]);
+            throw new _functions.https.HttpsError('deadline-exceeded', `Offer for order ${orderId} has expired`);
+        }
+
+        return { ...offer, expired };
+    }
+
+    static async acceptOrderOffer(orderId, driverId) {
+        const offer = await this.getLiveOffer(orderId, driverId);
+        const assigned = await this.assignOrderToDriver(orderId, driverId, { uid: driverId, role: 'driver' });
+
+        await this.recordOfferResponse(driverId, orderId, true, { round: offer.round, offeredAt: offer.offeredAt });
+        return assigned;
+    }
+
+    // Offer responses live next to delivery records in `driver_performance`, tagged with `type`.
+    static async recordOfferResponse(driverId, orderId, accepted, details = {}) {
+        const offeredAtMs = details.offeredAt?.toMillis ? details.offeredAt.toMillis() : null;
+        await _firestore.collection('driver_performance').add({
+            type: 'offer_response',
+            driverId,
+            orderId,
+            accepted,
+            reason: details.reason || null,
+            round: details.round || null,
+            responseTimeSeconds: offeredAtMs ? Math.round((Date.now() - offeredAtMs) / 1000) : null,
+            timestamp: _admin.firestore.FieldValue.serverTimestamp()
+        });
     }
-    static handleDriverRejection(orderId, driverId) {
+
+    static async handleDriverRejection(orderId, driverId, reason = null) {
         console.log(`Driver ${driverId} rejected order ${orderId}`);
-        // Logic to reassign or handle rejection
+        const offer = await this.getLiveOffer(orderId, driverId, { allowExpired: true });
+        await this.withdrawOrderRequest(orderId, [driverId]);
+
+        await _firestore.collection('restaurant_orders').doc(orderId).update({
+            'dispatchMetadata.rejectedDriverIds': _admin.firestore.FieldValue.arrayUnion(driverId)
+        });
+
+        await _firestore.collection('restaurant_orders').doc(orderId).collection('dispatch_rejections').add({
+            driverId,
+            reason,
+            timestamp: _admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        await this.recordOfferResponse(driverId, orderId, false, { reason, round: offer.round, offeredAt: offer.offeredAt });
     }
 }
-module.exports = DriverOrderRequests;
\ No newline at end of file
+module.exports = DriverOrderRequests;
@@ -1,9 +1,209 @@
 // 010-driver-assignment-dispatch.js
-// Placeholder for core driver assignment and dispatch logic.
+// Core driver assignment and dispatch logic: loads the real order, runs search/matching and
+// persists the chosen driver.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { ORDER_STATUS } = require('./002-constants-definition');
+const ZoneManagement = require('./005-zone-management');
+const OrderManagement = require('./007-order-management');
+const DriverSortingPrioritization = require('./011-driver-sorting-prioritization');
+const SmartDriverMatching = require('./021-smart-driver-matching');
+const AdvancedNotificationService = require('./022-multi-channel-notifications');
+const OptimizedDriverSearch = require('./023-optimized-driver-search');
+
 class DriverAssignmentDispatch {
-    static assignDriverToOrder(orderId, driverId) {
+    static defaultDispatchRadiusMiles = 10;
+
+    // Statuses from which an order may enter (or already be in) the driver search.
+    static dispatchableStatuses = [
+        ORDER_STATUS.ORDER_PREPARING,
+        ORDER_STATUS.ORDER_READY,
+        ORDER_STATUS.DRIVER_PENDING
+    ];
+
+    static async loadOrderForDispatch(orderId) {
+        const orderDoc = await _firestore.collection('restaurant_orders').doc(orderId).get();
+        if (!orderDoc.exists) {
+            throw new _functions.https.HttpsError('not-found', `Order ${orderId} not found`);
+        }
+        const order = { id: orderDoc.id, ...orderDoc.data() };
+
+        if (!order.vendorID) {
+            throw new _functions.https.HttpsError('failed-precondition', `Order ${orderId} has no vendor`);
+        }
+
+        const vendorDoc = await _firestore.collection('vendors').doc(order.vendorID).get();
+        if (!vendorDoc.exists) {
+            throw new _functions.https.HttpsError('not-found', `Vendor ${order.vendorID} not found`);
+        }
+        const vendorData = { id: vendorDoc.id, ...vendorDoc.data() };
+
+        const zone = await ZoneManagement.resolveZoneForLocation(vendorData.latitude, vendorData.longitude);
+
+        const orderData = {
+            ...order,
+            orderId,
+            vendor: { ...(order.vendor || {}), latitude: vendorData.latitude, longitude: vendorData.longitude }
+        };
+
+        return {
+            orderData,
+            vendorData,
+            zone,
+            dispatchMetadata: this.buildDispatchMetadata(order, zone)
+        };
+    }
+
+    static buildDispatchMetadata(order, zone) {
+        const previous = order.dispatchMetadata || {};
+        const settings = zone?.settings || {};
+        const radius = previous.kDistanceRadiusForDispatchInMiles ||
+            settings.dispatchRadiusMiles || this.defaultDispatchRadiusMiles;
+
+        return {
+            zone_id: zone?.id || null,
+            currentRound: previous.currentRound || 1,
+            kDistanceRadiusForDispatchInMiles: settings.maxDispatchRadiusMiles ?
+                Math.min(radius, settings.maxDispatchRadiusMiles) : radius,
+            surgeMultiplier: settings.surgeMultiplier || 1.0
+        };
+    }
+
+    static async dispatchOrder(orderId, actor = {}, contextData = {}) {
+        const { orderData, zone, dispatchMetadata } = await this.loadOrderForDispatch(orderId);
+
+        if (!this.dispatchableStatuses.includes(orderData.status)) {
+            throw new _functions.https.HttpsError('failed-precondition',
+                `Order ${orderId} cannot be dispatched from status ${orderData.status}`);
+        }
+        if (orderData.driverID) {
+            throw new _functions.https.HttpsError('already-exists', `Order ${orderId} already has a driver`);
+        }
+
+        if (orderData.status !== ORDER_STATUS.DRIVER_PENDING) {
+            await OrderManagement.updateOrderStatus(orderId, ORDER_STATUS.DRIVER_PENDING, actor, { reason: 'dispatch_started' });
+        }
+
+        const availableDrivers = await OptimizedDriverSearch.getAvailableDriversOptimized(orderId, orderData, dispatchMetadata);
+        const scoredDrivers = await SmartDriverMatching.findOptimalDriver(orderData, availableDrivers, { ...contextData, zoneId: zone?.id });
+        const criteria = await DriverSortingPrioritization.getZoneCriteria(zone, orderData);
+        const rankedDrivers = DriverSortingPrioritization.prioritizeDrivers(scoredDrivers, criteria);
+
+        if (rankedDrivers.length === 0) {
+            throw new _functions.https.HttpsError('not-found', `No drivers available for order ${orderId}.`);
+        }
+
+        // Walk down the ranking: a driver may have been taken by a concurrent dispatch.
+        for (const candidate of rankedDrivers) {
+            const assigned = await this.assignDriverToOrder(orderId, candidate.id, actor, dispatchMetadata, {
+                matchScore: candidate.matchScore,
+                scoreBreakdown: candidate.scoreBreakdown
+            });
+            if (!assigned) continue;
+
+            await this.notifyDriverOfAssignment(assigned.driver, orderId, orderData);
+
+            return {
+                orderId,
+                driverId: candidate.id,
+                matchScore: candidate.matchScore,
+                scoreBreakdown: candidate.scoreBreakdown,
+                zoneId: zone?.id || null,
+                dispatchMetadata
+            };
+        }
+
+        throw new _functions.https.HttpsError('unavailable', `All candidate drivers became unavailable for order ${orderId}.`);
+    }
+
+    // Atomically assigns the driver. Returns null when the driver is no longer free; throws when
+    // the order itself can no longer take a driver (e.g. it was assigned concurrently).
+    // `selection` (match score and breakdown) is kept in the status history for support.
+    // With `dispatchMetadata.batch` the driver may already hold the batch's other orders.
+    static async assignDriverToOrder(orderId, driverId, actor = {}, dispatchMetadata = {}, selection = {}) {
         console.log(`Dispatching order ${orderId} to driver ${driverId}`);
-        // Core dispatch logic, potentially involving SmartDriverMatching results
+        const orderRef = _firestore.collection('restaurant_orders').doc(orderId);
+        const driverRef = _firestore.collection('users').doc(driverId);
+
+        return _firestore.runTransaction(async (transaction) => {
+            const [orderDoc, driverDoc] = await Promise.all([
+                transaction.get(orderRef),
+                transaction.get(driverRef)
+            ]);
+
+            if (!orderDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Order ${orderId} not found`);
+            }
+            const order = orderDoc.data();
+            if (order.driverID) {
+                throw new _functions.https.HttpsError('already-exists',
+                    `Order ${orderId} is already assigned to driver ${order.driverID}`);
+            }
+
+            if (!driverDoc.exists) return null;
+            const driver = { id: driverDoc.id, ...driverDoc.data() };
+            const inProgress = driver.inProgressOrderID || [];
+            const batch = dispatchMetadata.batch;
+            const busy = batch ?
+                inProgress.length >= batch.maxBatchSize || inProgress.some(id => !batch.orderIds.includes(id)) :
+                inProgress.length > 0;
+            if (!driver.active || !driver.isActive || busy) {
+                return null;
+            }
+
+            OrderManagement.applyStatusTransition(transaction, orderRef, order, ORDER_STATUS.DRIVER_ASSIGNED,
+                actor, { driverId, reason: 'dispatch', ...selection }, {
+                    driverID: driverId,
+                    assignedAt: _admin.firestore.FieldValue.serverTimestamp(),
+                    dispatchMetadata,
+                    ...(batch ? { batchId: batch.batchId } : {})
+                });
+
+            if (batch) {
+                batch.orderIds.forEach(batchedOrderId => {
+                    transaction.update(_firestore.collection('restaurant_orders').doc(batchedOrderId), { batchId: batch.batchId });
+                });
+            }
+
+            transaction.update(driverRef, {
+                inProgressOrderID: _admin.firestore.FieldValue.arrayUnion(orderId),
+                lastAssignedAt: _admin.firestore.FieldValue.serverTimestamp()
+            });
+            DriverSortingPrioritization.recordAssignment(transaction, dispatchMetadata.zone_id, driverId);
+
+            // Feeds the fairness component of SmartDriverMatching (assignments/earnings per shift).
+            transaction.set(_firestore.collection('driver_assignments').doc(), {
+                driverId,
+                orderId,
+                zoneId: dispatchMetadata.zone_id || order.zoneId || null,
+                earnings: this.estimateDriverEarnings(order),
+                timestamp: _admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return { driver };
+        });
+    }
+
+    static estimateDriverEarnings(order) {
+        return (Number(order.deliveryCharge) || 0) + (Number(order.tip_amount) || 0);
+    }
+
+    static async notifyDriverOfAssignment(driver, orderId, orderData) {
+        const message = {
+            title: 'New delivery assigned',
+            body: `Order ${orderId} is ready for pickup${orderData.vendor?.title ? ` at ${orderData.vendor.title}` : ''}.`,
+            data: { orderId, type: 'order_assigned' },
+            channelId: 'orders'
+        };
+        const recipient = { ...driver, role: 'driver' };
+
+        try {
+            const channels = await AdvancedNotificationService.getOptimalNotificationChannels(recipient, message, 'urgent');
+            return await AdvancedNotificationService.sendMultiChannelNotification(recipient, message, 'urgent', channels);
+        } catch (error) {
+            // The assignment is already committed; a failed push must not undo it.
+            console.error(`Failed to notify driver ${driver.id} for order ${orderId}:`, error.message);
+            return null;
+        }
     }
 }
-module.exports = DriverAssignmentDispatch;
\ No newline at end of file
+module.exports = DriverAssignmentDispatch;
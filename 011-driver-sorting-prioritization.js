@@ -1,10 +1,160 @@
 // 011-driver-sorting-prioritization.js
-// Placeholder for sorting and prioritizing drivers based on various criteria.
+// Pluggable driver ordering strategies, selectable per zone via `dispatchSettings.prioritization`:
+//   { strategy: 'composite', strategies: [{ name: 'best_score', weight: 0.7 }, ...], tieBreakers: ['nearest_first'] }
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+
 class DriverSortingPrioritization {
-    static prioritizeDrivers(drivers, criteria) {
+    // Map<name, (criteria) => comparator(a, b)>. A negative result puts `a` first.
+    static strategies = new Map();
+    static defaultCriteria = {
+        strategy: 'best_score',
+        strategies: [],
+        tieBreakers: ['nearest_first']
+    };
+
+    static registerStrategy(name, comparatorFactory) {
+        if (typeof comparatorFactory !== 'function') {
+            throw new Error(`Strategy ${name} must be a comparator factory function`);
+        }
+        this.strategies.set(name, comparatorFactory);
+    }
+
+    static getComparator(name, criteria) {
+        const factory = this.strategies.get(name);
+        if (!factory) {
+            throw new Error(`Unknown driver prioritization strategy: ${name}`);
+        }
+        return factory(criteria);
+    }
+
+    static prioritizeDrivers(drivers, criteria = {}) {
         console.log("Prioritizing drivers based on criteria...");
-        // Logic to sort drivers (e.g., by score, proximity, availability)
-        return drivers;
+        const resolved = { ...this.defaultCriteria, ...criteria };
+
+        const primary = resolved.strategy === 'composite' ?
+            this.buildCompositeComparator(drivers, resolved) :
+            this.getComparator(resolved.strategy, resolved);
+
+        // Tie-breakers run in order; driver id last keeps the result deterministic.
+        const chain = [primary, ...resolved.tieBreakers.map(name => this.getComparator(name, resolved)), this.getComparator('driver_id', resolved)];
+
+        return [...drivers].sort((a, b) => {
+            for (const comparator of chain) {
+                const result = comparator(a, b);
+                if (result !== 0) return result;
+            }
+            return 0;
+        });
+    }
+
+    // Weighted rank aggregation: each strategy ranks the drivers, and the weighted average rank
+    // (lower is better) decides the composite order.
+    static buildCompositeComparator(drivers, criteria) {
+        const compositeRank = new Map(drivers.map(driver => [driver.id, 0]));
+        const totalWeight = criteria.strategies.reduce((sum, s) => sum + (s.weight || 1), 0) || 1;
+
+        criteria.strategies.forEach(({ name, weight = 1 }) => {
+            const comparator = this.getComparator(name, criteria);
+            const ranked = [...drivers].sort(comparator);
+            let rank = 0;
+            ranked.forEach((driver, index) => {
+                // Drivers the strategy considers equal share the rank of the first of their group.
+                if (index > 0 && comparator(ranked[index - 1], driver) !== 0) rank = index;
+                compositeRank.set(driver.id, compositeRank.get(driver.id) + rank * weight / totalWeight);
+            });
+        });
+
+        return (a, b) => compositeRank.get(a.id) - compositeRank.get(b.id);
+    }
+
+    static validateCriteria(criteria = {}) {
+        const resolved = { ...this.defaultCriteria, ...criteria };
+        const names = [
+            ...(resolved.strategy === 'composite' ? [] : [resolved.strategy]),
+            ...resolved.strategies.map(s => s.name),
+            ...resolved.tieBreakers
+        ];
+
+        const unknown = names.filter(name => !this.strategies.has(name));
+        if (unknown.length > 0) {
+            throw new _functions.https.HttpsError('invalid-argument', `Unknown prioritization strategies: ${unknown.join(', ')}`);
+        }
+        if (resolved.strategy === 'composite' && resolved.strategies.length === 0) {
+            throw new _functions.https.HttpsError('invalid-argument', 'Composite prioritization needs at least one strategy');
+        }
+        if (resolved.strategies.some(s => typeof s.weight !== 'undefined' && !(s.weight > 0))) {
+            throw new _functions.https.HttpsError('invalid-argument', 'Strategy weights must be positive numbers');
+        }
+
+        return resolved;
+    }
+
+    static usesStrategy(criteria, name) {
+        return criteria.strategy === name ||
+            (criteria.strategies || []).some(s => s.name === name) ||
+            (criteria.tieBreakers || []).includes(name);
+    }
+
+    // Resolves the zone's criteria and loads any state the strategies need (round-robin cursor).
+    static async getZoneCriteria(zone, orderData = {}) {
+        const criteria = {
+            ...this.defaultCriteria,
+            ...(zone?.dispatchSettings?.prioritization || {}),
+            vendorID: orderData.vendorID
+        };
+
+        if (zone?.id && this.usesStrategy(criteria, 'round_robin')) {
+            const stateDoc = await _firestore.collection('zone_dispatch_state').doc(zone.id).get();
+            criteria.roundRobinCursor = stateDoc.exists ? stateDoc.data().lastAssignedDriverId : null;
+        }
+
+        return criteria;
+    }
+
+    // Called inside the assignment transaction so the round-robin cursor moves with the assignment.
+    static recordAssignment(transaction, zoneId, driverId) {
+        if (!zoneId) return;
+        transaction.set(_firestore.collection('zone_dispatch_state').doc(zoneId), {
+            lastAssignedDriverId: driverId,
+            updatedAt: _admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    static toMillis(value) {
+        if (!value) return 0;
+        return value.toMillis ? value.toMillis() : new Date(value).getTime();
     }
 }
-module.exports = DriverSortingPrioritization;
\ No newline at end of file
+
+// --- Built-in strategies ---
+
+DriverSortingPrioritization.registerStrategy('nearest_first', () => (a, b) =>
+    (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+DriverSortingPrioritization.registerStrategy('best_score', () => (a, b) =>
+    (b.matchScore || 0) - (a.matchScore || 0));
+
+// Never-assigned drivers (no lastAssignedAt) come first.
+DriverSortingPrioritization.registerStrategy('least_recently_assigned', () => (a, b) =>
+    DriverSortingPrioritization.toMillis(a.lastAssignedAt) - DriverSortingPrioritization.toMillis(b.lastAssignedAt));
+
+// Cycles through drivers by id, starting after the zone's last assigned driver.
+DriverSortingPrioritization.registerStrategy('round_robin', (criteria) => {
+    const cursor = criteria.roundRobinCursor || '';
+    return (a, b) => {
+        const aWrapped = a.id <= cursor ? 1 : 0;
+        const bWrapped = b.id <= cursor ? 1 : 0;
+        if (aWrapped !== bWrapped) return aWrapped - bWrapped;
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    };
+});
+
+DriverSortingPrioritization.registerStrategy('preferred_vendor_first', (criteria) => {
+    const prefers = driver => (criteria.vendorID && driver.preferredVendors?.includes(criteria.vendorID)) ? 0 : 1;
+    return (a, b) => prefers(a) - prefers(b);
+});
+
+DriverSortingPrioritization.registerStrategy('driver_id', () => (a, b) =>
+    a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+module.exports = DriverSortingPrioritization;
@@ -1,20 +1,34 @@
 // 016-advanced-security-auth.js (Original: AdvancedSecurityManager.js)
 const { _admin, _firestore, _functions } = require('./001-setup-initialization'); // Updated path
 const SecurityLogger = require('./017-redis-caching-performance'); // Assuming SecurityLogger.js is renamed to '017-security-logger.js' or has a path adjusted.
+const IPGeolocation = require('./052-ip-geolocation');
+const RateLimiter = require('./053-rate-limiter');
 
 /**
  * Advanced Security Manager with IP tracking, Device fingerprinting, Geofencing
  */
 class AdvancedSecurityManager {
-    static suspiciousIPs = new Set(); // In-memory for current process, could be persistent
+    // IP -> expiry (ms) of addresses that recently hit the IP quota. In-memory for the current
+    // process; EnhancedSecurityMonitoring scores requests from them.
+    static suspiciousIPs = new Map();
+    static suspiciousIPTtlMs = 60 * 60 * 1000;
+    static maxSuspiciousIPs = 10000;
     static blockedCountries = ['CN', 'RU', 'KP'];
-    static allowedCountries = ['DE', 'AT', 'CH', 'FR', 'BE', 'NL'];
+    // Comma-separated ISO codes in GEO_ALLOWED_COUNTRIES (e.g. "DE,AT,CH"). Empty allows every
+    // country that is not blocked.
+    static allowedCountries = (process.env.GEO_ALLOWED_COUNTRIES || '')
+        .split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+    // What geo validation does when the country cannot be determined (no database, unknown range,
+    // malformed IP): 'allow' lets the request through and logs it, 'deny' rejects it.
+    // Private/internal addresses are always allowed.
+    static geoLookupFailurePolicy = process.env.GEOIP_FAILURE_POLICY === 'deny' ? 'deny' : 'allow';
+    // Proxies appending to X-Forwarded-For; 0 ignores the header and uses the connection address.
+    static trustedProxyHops = /^\d+$/.test(process.env.TRUSTED_PROXY_HOPS || '') ? Number(process.env.TRUSTED_PROXY_HOPS) : 1;
 
     static async validateAdvancedSecurity(context, options = {}) {
         const {
             requireGeoValidation = false,
-            // allowedRoles = [], // Not used in provided snippet
-            // maxRequestsPerMinute = 60, // Not used in provided snippet
+            endpoint = 'default', // Callable name, selects the rate limit quota
             requireDeviceFingerprint = false
         } = options;
 
@@ -26,8 +40,6 @@ class AdvancedSecurityManager {
         const userAgent = context.rawRequest?.headers['user-agent'] || 'unknown';
         const deviceFingerprint = context.rawRequest?.headers['x-device-fingerprint'];
 
-        await this.validateClientIP(clientIP, context.auth.uid);
-
         if (requireDeviceFingerprint && !deviceFingerprint) {
             throw new _functions.https.HttpsError('permission-denied', 'Device verification required');
         }
@@ -40,6 +52,7 @@ class AdvancedSecurityManager {
         const userData = userDoc.data();
 
         await this.checkAccountSecurity(userData, context.auth.uid);
+        await this.enforceRateLimit(context, RateLimiter.getRole(context.auth.token), endpoint);
         await this.checkGeoSecurity(userData, clientIP, requireGeoValidation);
         await this.logSecurityEvent(context.auth.uid, 'function_access', {
             clientIP,
@@ -50,52 +63,60 @@ class AdvancedSecurityManager {
         return userData;
     }
 
+    // The client controls everything it sends in X-Forwarded-For; each proxy in front of the function
+    // appends the address it received the request from. The client address is therefore the entry
+    // appended by the outermost of the `trustedProxyHops` proxies (the last entry by default).
     static extractClientIP(context) {
         const req = context.rawRequest;
-        return req.headers?.['x-forwarded-for']?.split(',')[0] ||
-            req.headers?.['x-real-ip'] ||
-            req.connection?.remoteAddress ||
+        const forwarded = (req.headers?.['x-forwarded-for'] || '')
+            .split(',').map(entry => entry.trim()).filter(Boolean);
+        if (this.trustedProxyHops > 0 && forwarded.length > 0) {
+            return forwarded[Math.max(0, forwarded.length - this.trustedProxyHops)];
+        }
+        return req.connection?.remoteAddress ||
             req.socket?.remoteAddress ||
             'unknown';
     }
 
-    static async validateClientIP(clientIP, userId) {
-        if (this.suspiciousIPs.has(clientIP)) {
-            await SecurityLogger.logCriticalAction(userId, 'blocked_ip_attempt', { clientIP });
-            throw new _functions.https.HttpsError('permission-denied', 'Access denied from this IP');
-        }
-
-        const requestCount = await this.getIPRequestCount(clientIP);
-        if (requestCount > 5) { // Reduced from 100 for easier testing
-            this.suspiciousIPs.add(clientIP);
-            await SecurityLogger.logCriticalAction(userId, 'ip_rate_limit_exceeded', {
-                clientIP,
-                requestCount
-            });
-            throw new _functions.https.HttpsError('resource-exhausted', 'Too many requests');
+    static markSuspiciousIP(clientIP, now = Date.now()) {
+        this.suspiciousIPs.delete(clientIP); // Re-insert so the Map stays in expiry order
+        if (this.suspiciousIPs.size >= this.maxSuspiciousIPs) {
+            this.suspiciousIPs.delete(this.suspiciousIPs.keys().next().value);
         }
+        this.suspiciousIPs.set(clientIP, now + this.suspiciousIPTtlMs);
     }
 
-    static async getIPRequestCount(clientIP) {
-        const now = Date.now();
-        const oneMinuteAgo = now - 60000;
+    static isSuspiciousIP(clientIP, now = Date.now()) {
+        const expiresAt = this.suspiciousIPs.get(clientIP);
+        if (expiresAt === undefined) return false;
+        if (expiresAt > now) return true;
+        this.suspiciousIPs.delete(clientIP);
+        return false;
+    }
 
+    // Per-IP and per-user quotas (see 053-rate-limiter.js). Throws resource-exhausted with
+    // `retryAfterSeconds` in the error details. Callables that skip validateAdvancedSecurity call
+    // this directly with the caller's access control role.
+    static async enforceRateLimit(context, role, endpoint) {
+        const clientIP = this.extractClientIP(context);
         try {
-            const snapshot = await _firestore.collection('ip_requests')
-                .where('ip', '==', clientIP)
-                .where('timestamp', '>=', oneMinuteAgo)
-                .get();
-
-            // Record this request
-            await _firestore.collection('ip_requests').add({
-                ip: clientIP,
-                timestamp: now
+            await RateLimiter.enforce({
+                endpoint,
+                role: RateLimiter.getQuotaRole(role),
+                uid: context.auth.uid,
+                clientIP
             });
-
-            return snapshot.size;
         } catch (error) {
-            console.error("Error getting IP request count:", error);
-            return 0;
+            if (error.details?.scope === 'ip') {
+                this.markSuspiciousIP(clientIP);
+                // Logging must not replace the resource-exhausted error.
+                await this.logSecurityEvent(context.auth.uid, 'ip_rate_limit_exceeded', {
+                    clientIP,
+                    endpoint,
+                    limit: error.details.limit
+                }).catch(logError => console.error('Error logging rate limit event:', logError));
+            }
+            throw error;
         }
     }
 
@@ -119,31 +140,42 @@ class AdvancedSecurityManager {
     static async checkGeoSecurity(userData, clientIP, requireGeoValidation) {
         if (!requireGeoValidation) return;
 
+        let geoData;
         try {
-            const geoData = await this.getIPGeolocation(clientIP);
-
-            if (this.blockedCountries.includes(geoData.country)) {
-                await SecurityLogger.logCriticalAction(userData.uid || 'unknown', 'blocked_country_access', {
-                    country: geoData.country,
-                    clientIP
-                });
-                throw new _functions.https.HttpsError('permission-denied', 'Access not allowed from this region');
-            }
+            geoData = await this.getIPGeolocation(clientIP);
         } catch (error) {
             console.log('Geo validation failed:', error.message);
+            geoData = { country: null, source: 'error' };
+        }
+
+        if (!geoData.country) {
+            if (geoData.source === 'private') return;
+            await this.logSecurityEvent(userData.uid || 'unknown', 'geo_lookup_failed', {
+                clientIP,
+                source: geoData.source,
+                policy: this.geoLookupFailurePolicy
+            });
+            if (this.geoLookupFailurePolicy === 'deny') {
+                throw new _functions.https.HttpsError('permission-denied', 'Unable to verify access region');
+            }
+            return;
+        }
+
+        const blocked = this.blockedCountries.includes(geoData.country) ||
+            (this.allowedCountries.length > 0 && !this.allowedCountries.includes(geoData.country));
+        if (blocked) {
+            await SecurityLogger.logCriticalAction(userData.uid || 'unknown', 'blocked_country_access', {
+                country: geoData.country,
+                clientIP
+            });
+            throw new _functions.https.HttpsError('permission-denied', 'Access not allowed from this region');
         }
     }
 
-    // Mock implementation for demonstration
+    // Looks the IP up in the local geolocation database (see 052-ip-geolocation.js). `country` is
+    // null when it cannot be determined; `source` says why.
     static async getIPGeolocation(clientIP) {
-        console.log(`MOCK: Getting geolocation for IP: ${clientIP}`);
-        if (clientIP === '1.2.3.4') return { country: 'KP', city: 'Pyongyang', region: 'Pyongyang' }; // Mock blocked country
-        if (clientIP === '5.6.7.8') return { country: 'DE', city: 'Berlin', region: 'Berlin' }; // Mock allowed country
-        return {
-            country: 'US', // Default mock country
-            city: 'Unknown',
-            region: 'Unknown'
-        };
+        return IPGeolocation.lookup(clientIP);
     }
 
     static async logSecurityEvent(userId, event, metadata = {}) {
@@ -3,6 +3,12 @@ const { _admin, _firestore } = require('./001-setup-initialization'); // Updated
 const SecurityLogger = require('./017-security-logger'); // Updated path
 const CacheManager = require('./CacheManager'); // For potential customer preferences/device data - Assuming CacheManager.js is renamed correctly
 const AdvancedSecurityManager = require('./016-advanced-security-auth'); // Assuming its path is updated correctly.
+const { distanceRadius } = require('./003-utilities-helpers');
+const DriverLocationHistory = require('./046-driver-location-history');
+const FraudRulesEngine = require('./047-fraud-rules-engine');
+const FraudCaseManagement = require('./048-fraud-case-management');
+const PaymentAbuseDetection = require('./049-payment-abuse-detection');
+const FraudModel = require('./051-fraud-model');
 
 class AIFraudDetection {
     static fraudScoreThresholds = {
@@ -12,51 +18,103 @@ class AIFraudDetection {
         CRITICAL: 95
     };
 
-    static async calculateFraudScore(userId, activity, contextData = {}) {
-        let score = 0;
-        const factors = [];
-
-        const velocityScore = await this.checkVelocityPatterns(userId, activity);
-        score += velocityScore;
-        if (velocityScore > 0) factors.push(`velocity: ${velocityScore}`);
-
-        const behaviorScore = await this.checkBehaviorPatterns(userId, activity, contextData);
-        score += behaviorScore;
-        if (behaviorScore > 0) factors.push(`behavior: ${behaviorScore}`);
-
-        const deviceScore = await this.checkDeviceConsistency(userId, contextData);
-        score += deviceScore;
-        if (deviceScore > 0) factors.push(`device: ${deviceScore}`);
+    static locationThresholds = {
+        maxTravelSpeedMph: 600, // Faster than a commercial flight between two events
+        minTravelDistanceMiles: 50, // Short hops never count as impossible travel (IP geolocation noise)
+        countryChangeWindowHours: 2,
+        historyWindowHours: 24,
+        constantCoordinatesMinPoints: 5,
+        constantCoordinatesMinMinutes: 10,
+        constantCoordinatesMaxGapSeconds: 60, // Idle history is stored every 120 s, too sparse to judge
+        stationarySpeedMps: 0.5, // A parked phone repeating its cached fix is not spoofing
+        teleportSpeedMph: 300,
+        teleportMinDistanceMiles: 5,
+        minTeleports: 2,
+        farDeliveryMiles: 30,
+        minOrdersForDeliveryHistory: 3
+    };
 
-        const timeScore = this.checkTimePatterns(activity, contextData);
-        score += timeScore;
-        if (timeScore > 0) factors.push(`time: ${timeScore}`);
+    // Gathers the facts about this activity, scores them with the live fraud rules (047) and, when
+    // a fraud model is active, blends in its probability (051).
+    static async calculateFraudScore(userId, activity, contextData = {}) {
+        const facts = await this.buildFraudFacts(userId, activity, contextData);
+        const ruleSet = await FraudRulesEngine.getActiveRuleSet();
+        const result = FraudRulesEngine.evaluate(ruleSet, facts);
 
-        const locationScore = await this.checkLocationAnomalies(userId, contextData);
-        score += locationScore;
-        if (locationScore > 0) factors.push(`location: ${locationScore}`);
+        const features = FraudModel.extractFeatures(facts);
+        const blended = await FraudModel.blendScore(result.score, features);
 
-        const finalScore = Math.min(score, 100);
+        const finalScore = blended.score;
+        const factors = result.matches.map(match => `${match.ruleId}: ${match.appliedScore}`);
+        if (blended.model?.mode === 'active') {
+            factors.push(`fraud_model: ${Math.round(blended.model.blendWeight * blended.model.probability * 100)}`);
+        }
 
-        await this.logFraudScore(userId, activity, finalScore, factors);
+        const fraudScoreId = await this.logFraudScore(userId, activity, finalScore, factors, result, {
+            features,
+            model: blended.model
+        });
 
         if (finalScore >= this.fraudScoreThresholds.CRITICAL) {
-            await this.handleCriticalFraud(userId, activity, finalScore, factors);
+            await this.handleCriticalFraud(userId, activity, finalScore, factors, fraudScoreId);
         } else if (finalScore >= this.fraudScoreThresholds.HIGH) {
-            await this.handleHighFraud(userId, activity, finalScore, factors);
+            await this.handleHighFraud(userId, activity, finalScore, factors, fraudScoreId);
         }
 
         return finalScore;
     }
 
-    static async checkVelocityPatterns(userId, activity) {
-        const now = Date.now();
-        const last5Minutes = now - (5 * 60 * 1000);
+    // Behavior rules only; used by EnhancedSecurityMonitoring.
+    static async checkBehaviorPatterns(userId, activity, contextData = {}) {
+        const facts = {
+            activity,
+            context: contextData,
+            behavior: await this.collectBehaviorFacts(userId, activity, Date.now())
+        };
+        const ruleSet = await FraudRulesEngine.getActiveRuleSet();
+        return FraudRulesEngine.evaluate(ruleSet, facts, { groups: ['behavior'] }).score;
+    }
+
+    // Everything the rules can refer to. `options.asOfMs` evaluates a past activity (dry runs);
+    // `options.recordLocation: false` leaves the user's location history untouched.
+    static async buildFraudFacts(userId, activity, contextData = {}, options = {}) {
+        const asOfMs = options.asOfMs || Date.now();
+        const at = new Date(asOfMs);
+
+        const [velocity, behavior, device, locationAnomalies, payment] = await Promise.all([
+            this.collectVelocityFacts(userId, activity, asOfMs),
+            this.collectBehaviorFacts(userId, activity, asOfMs),
+            this.collectDeviceFacts(userId, contextData),
+            this.checkLocationAnomalies(userId, { timestamp: asOfMs, ...contextData }, {
+                asOfMs,
+                recordLocation: options.recordLocation !== false
+            }),
+            PaymentAbuseDetection.collectPaymentFacts(userId, contextData, asOfMs)
+        ]);
+
+        return {
+            userId,
+            activity,
+            context: contextData,
+            time: { hour: at.getHours(), dayOfWeek: at.getDay() }, // 0 = Sunday, 6 = Saturday
+            velocity,
+            behavior,
+            device,
+            location: {
+                anomalies: locationAnomalies.map(anomaly => anomaly.type),
+                details: Object.fromEntries(locationAnomalies.map(anomaly => [anomaly.type, anomaly.details]))
+            },
+            payment
+        };
+    }
 
+    // Actions in the 5 minutes before `asOfMs`. Null when the lookup fails, so no rule fires.
+    static async collectVelocityFacts(userId, activity, asOfMs) {
         try {
             const recentActivities = await _firestore.collection('user_activities')
                 .where('userId', '==', userId)
-                .where('timestamp', '>=', last5Minutes) // Firestore timestamps should be comparable to numbers
+                .where('timestamp', '>=', asOfMs - (5 * 60 * 1000)) // Firestore timestamps should be comparable to numbers
+                .where('timestamp', '<=', asOfMs)
                 .get();
 
             const actionCounts = {};
@@ -65,55 +123,40 @@ class AIFraudDetection {
                 actionCounts[data.action] = (actionCounts[data.action] || 0) + 1;
             });
 
-            let score = 0;
-
-            if (actionCounts[activity] > 10) score += 40;
-            else if (actionCounts[activity] > 5) score += 20;
-
-            const uniqueActions = Object.keys(actionCounts).length;
-            if (uniqueActions > 8) score += 30;
-
-            return score;
+            return {
+                activityCount: actionCounts[activity] || 0,
+                uniqueActions: Object.keys(actionCounts).length,
+                totalActions: recentActivities.size
+            };
         } catch (error) {
             console.error("Error checking velocity patterns:", error);
-            return 0;
+            return null;
         }
     }
 
-    static async checkBehaviorPatterns(userId, activity, contextData) {
-        let score = 0;
-
+    static async collectBehaviorFacts(userId, activity, asOfMs) {
         try {
             const historicalSnapshot = await _firestore.collection('user_behavior_patterns')
                 .doc(userId).get();
 
             if (!historicalSnapshot.exists) {
-                return 10; // New user, slight risk
+                return { hasProfile: false };
             }
-
             const patterns = historicalSnapshot.data();
 
-            const typicalActivityFreq = patterns.activities?.[activity] || 0;
-            if (typicalActivityFreq === 0 && activity === 'high_value_order') {
-                score += 25; // Unusual high value order activity
-            }
-
-            const currentHour = new Date().getHours();
-            const userTypicalHours = patterns.activeHours || [];
-            if (!userTypicalHours.includes(currentHour)) {
-                score += 15; // Activity outside typical hours
-            }
-
-            return score;
+            return {
+                hasProfile: true,
+                activityFrequency: patterns.activities?.[activity] || 0,
+                isTypicalHour: (patterns.activeHours || []).includes(new Date(asOfMs).getHours())
+            };
         } catch (error) {
             console.error("Error checking behavior patterns:", error);
-            return 0;
+            return null;
         }
     }
 
-    static async checkDeviceConsistency(userId, contextData) {
+    static async collectDeviceFacts(userId, contextData) {
         const { clientIP, userAgent, deviceFingerprint } = contextData;
-        let score = 0;
 
         try {
             const recentDevices = await _firestore.collection('user_devices')
@@ -123,7 +166,7 @@ class AIFraudDetection {
                 .get();
 
             if (recentDevices.empty) {
-                return 15; // No known devices, could be new or suspicious
+                return { hasKnownDevices: false };
             }
 
             const knownIPs = new Set();
@@ -137,63 +180,365 @@ class AIFraudDetection {
                 if (data.fingerprint) knownFingerprints.add(data.fingerprint);
             });
 
-            if (clientIP && !knownIPs.has(clientIP)) {
-                score += 20; // New IP
+            return {
+                hasKnownDevices: true,
+                newIP: Boolean(clientIP) && !knownIPs.has(clientIP),
+                newUserAgent: Boolean(userAgent) && !knownUserAgents.has(userAgent),
+                newFingerprint: Boolean(deviceFingerprint) && !knownFingerprints.has(deviceFingerprint)
+            };
+        } catch (error) {
+            console.error("Error checking device consistency:", error);
+            return null;
+        }
+    }
+
+    // contextData: { currentLocation: { latitude, longitude }, clientIP, country, isMockLocation,
+    // deliveryLocation: { latitude, longitude }, timestamp }. Compares the current event with the
+    // user's recent known locations (location events plus driver location history) and, unless
+    // `options.recordLocation` is false, records it. Returns [{ type, details }]; the fraud rules
+    // decide what each anomaly is worth.
+    static async checkLocationAnomalies(userId, contextData = {}, options = {}) {
+        const thresholds = this.locationThresholds;
+        const anomalies = [];
+        const addFactor = (type, details) => anomalies.push({ type, details });
+
+        try {
+            const current = await this.buildLocationEvent(contextData);
+            const history = await this.getRecentLocationEvents(userId, thresholds.historyWindowHours, current.timestampMs);
+            const last = history[history.length - 1];
+
+            if (current.latitude !== undefined && last?.latitude !== undefined) {
+                const distanceMiles = distanceRadius(last.latitude, last.longitude, current.latitude, current.longitude);
+                const hours = Math.max((current.timestampMs - last.timestampMs) / 3600000, 1 / 3600);
+                const speedMph = distanceMiles / hours;
+                if (distanceMiles >= thresholds.minTravelDistanceMiles && speedMph > thresholds.maxTravelSpeedMph) {
+                    addFactor('impossible_travel', { distanceMiles: Math.round(distanceMiles), speedMph: Math.round(speedMph) });
+                }
+            }
+
+            const lastWithCountry = [...history].reverse().find(event => event.country);
+            if (current.country && lastWithCountry && lastWithCountry.country !== current.country &&
+                current.timestampMs - lastWithCountry.timestampMs < thresholds.countryChangeWindowHours * 3600000) {
+                addFactor('country_change', { from: lastWithCountry.country, to: current.country });
             }
 
-            if (userAgent && !knownUserAgents.has(userAgent)) {
-                score += 15; // New User Agent
+            if (contextData.isMockLocation === true) {
+                addFactor('mock_location', {});
             }
 
-            if (deviceFingerprint && !knownFingerprints.has(deviceFingerprint)) {
-                score += 25; // New Device Fingerprint
+            const gpsPoints = [...history, current].filter(event => event.latitude !== undefined);
+            const spoofing = this.detectSpoofingSignatures(gpsPoints);
+            if (spoofing.constantCoordinates) addFactor('constant_coordinates', { points: spoofing.constantPoints });
+            if (spoofing.teleports >= thresholds.minTeleports) addFactor('teleports', { count: spoofing.teleports });
+
+            if (contextData.deliveryLocation) {
+                const farDelivery = await this.checkDeliveryAddressDistance(userId, contextData.deliveryLocation);
+                if (farDelivery) addFactor('far_delivery_address', farDelivery);
             }
 
-            return score;
+            if (options.recordLocation !== false && (current.latitude !== undefined || current.country)) {
+                await this.recordLocationEvent(userId, current);
+            }
         } catch (error) {
-            console.error("Error checking device consistency:", error);
-            return 0;
+            console.error("Error checking location anomalies:", error);
         }
+
+        return anomalies;
     }
 
-    static checkTimePatterns(activity, contextData) {
-        const now = new Date();
-        const hour = now.getHours();
-        let score = 0;
+    static async buildLocationEvent(contextData) {
+        const event = { timestampMs: contextData.timestamp ? new Date(contextData.timestamp).getTime() : Date.now() };
+        const location = contextData.currentLocation;
+        if (typeof location?.latitude === 'number' && typeof location?.longitude === 'number') {
+            event.latitude = location.latitude;
+            event.longitude = location.longitude;
+        }
 
-        if (['place_order', 'driver_accept'].includes(activity)) {
-            if (hour >= 0 && hour <= 5) { // 12 AM - 5 AM
-                score += 20; // Late night activity
-            } else if (hour >= 23 || hour <= 6) { // 11 PM - 6 AM
-                score += 10;
-            }
+        event.country = contextData.country || null;
+        if (!event.country && contextData.clientIP) {
+            const geoData = await AdvancedSecurityManager.getIPGeolocation(contextData.clientIP);
+            event.country = geoData?.country || null;
         }
+        return event;
+    }
+
+    // Events in the `windowHours` before `untilMs`, oldest first.
+    static async getRecentLocationEvents(userId, windowHours, untilMs = Date.now()) {
+        const since = _admin.firestore.Timestamp.fromMillis(untilMs - windowHours * 3600000);
+        const until = _admin.firestore.Timestamp.fromMillis(untilMs);
+        const [eventsSnapshot, driverPoints] = await Promise.all([
+            _firestore.collection('user_location_events')
+                .where('userId', '==', userId)
+                .where('timestamp', '>=', since)
+                .where('timestamp', '<', until)
+                .orderBy('timestamp', 'desc')
+                .limit(20)
+                .get(),
+            DriverLocationHistory.getRecentPoints(userId, 60)
+        ]);
+
+        const events = eventsSnapshot.docs.map(doc => {
+            const data = doc.data();
+            return {
+                ...(typeof data.latitude === 'number' ? { latitude: data.latitude, longitude: data.longitude } : {}),
+                country: data.country || null,
+                timestampMs: data.timestamp.toMillis()
+            };
+        });
+        driverPoints
+            .filter(point => Date.parse(point.recordedAt) >= since.toMillis() && Date.parse(point.recordedAt) < untilMs)
+            .forEach(point => events.push({
+                latitude: point.latitude,
+                longitude: point.longitude,
+                country: null,
+                speedMps: point.speedMps,
+                timestampMs: Date.parse(point.recordedAt)
+            }));
+
+        return events.sort((a, b) => a.timestampMs - b.timestampMs);
+    }
+
+    static async recordLocationEvent(userId, event) {
+        await _firestore.collection('user_location_events').add({
+            userId,
+            ...(event.latitude !== undefined ? { latitude: event.latitude, longitude: event.longitude } : {}),
+            country: event.country,
+            timestamp: _admin.firestore.Timestamp.fromMillis(event.timestampMs)
+        });
+    }
 
-        const dayOfWeek = now.getDay(); // 0 = Sunday, 6 = Saturday
-        if (activity === 'vendor_management' && (dayOfWeek === 0 || dayOfWeek === 6)) {
-            score += 10; // Admin activity on weekends
+    // Real GPS jitters: a long, densely sampled run of identical fixes while supposedly moving
+    // suggests a spoofing app. Fixes reported as stationary (speed ~0) are left out, as are runs with
+    // gaps too long to tell a frozen fix from a parked phone. Repeated jumps faster than any vehicle
+    // are teleports.
+    static detectSpoofingSignatures(points) {
+        const thresholds = this.locationThresholds;
+        const result = { constantCoordinates: false, constantPoints: 0, teleports: 0 };
+
+        const moving = points.filter(point =>
+            typeof point.speedMps !== 'number' || point.speedMps >= thresholds.stationarySpeedMps);
+        const last = moving[moving.length - 1];
+        let runStart = moving.length - 1;
+        while (runStart > 0 &&
+            moving[runStart - 1].latitude === last.latitude && moving[runStart - 1].longitude === last.longitude &&
+            moving[runStart].timestampMs - moving[runStart - 1].timestampMs <= thresholds.constantCoordinatesMaxGapSeconds * 1000) {
+            runStart--;
+        }
+        const runLength = moving.length - runStart;
+        if (last && runLength >= thresholds.constantCoordinatesMinPoints &&
+            (last.timestampMs - moving[runStart].timestampMs) / 60000 >= thresholds.constantCoordinatesMinMinutes) {
+            result.constantCoordinates = true;
+            result.constantPoints = runLength;
         }
 
-        return score;
+        for (let i = 1; i < points.length; i++) {
+            const distanceMiles = distanceRadius(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+            const hours = Math.max((points[i].timestampMs - points[i - 1].timestampMs) / 3600000, 1 / 3600);
+            if (distanceMiles >= thresholds.teleportMinDistanceMiles && distanceMiles / hours > thresholds.teleportSpeedMph) {
+                result.teleports++;
+            }
+        }
+        return result;
     }
 
-    static async checkLocationAnomalies(userId, contextData) {
-        // Mock: In a real scenario, this would compare current geo-location with historical ones.
-        // E.g., if contextData.currentLocation is very far from last-known-location, and timeframe is small.
-        // Requires a persistent storage of user's past locations.
-        console.log(`MOCK: Checking location anomalies for user ${userId} with context`, contextData);
-        return 0;
+    // Flags a delivery address far from every address the user has ordered to before.
+    static async checkDeliveryAddressDistance(userId, deliveryLocation) {
+        const thresholds = this.locationThresholds;
+        const ordersSnapshot = await _firestore.collection('restaurant_orders')
+            .where('author.uid', '==', userId)
+            .orderBy('createdAt', 'desc')
+            .limit(20)
+            .get();
+
+        const previousLocations = ordersSnapshot.docs
+            .map(doc => doc.data().address?.location)
+            .filter(location => typeof location?.latitude === 'number');
+        if (previousLocations.length < thresholds.minOrdersForDeliveryHistory) return null;
+
+        const nearestMiles = Math.min(...previousLocations.map(location =>
+            distanceRadius(location.latitude, location.longitude, deliveryLocation.latitude, deliveryLocation.longitude)));
+
+        return nearestMiles > thresholds.farDeliveryMiles ?
+            { nearestPreviousAddressMiles: Math.round(nearestMiles), previousOrders: previousLocations.length } : null;
     }
 
-    static async logFraudScore(userId, activity, score, factors) {
-        await _firestore.collection('fraud_scores').add({
+    // Scores past `user_activities` with a candidate rule set (an inline set or a published
+    // `version`) next to the live one, without side effects. Behavior and device facts are read as
+    // they are today; velocity, time and location facts are rebuilt as of each activity.
+    static async dryRunRuleSet(candidate, { from = null, to = null, userId = null, activity = null, limit = 200 } = {}, actor = {}) {
+        const candidateSet = typeof candidate === 'number' ?
+            await FraudRulesEngine.getRuleSet(candidate) :
+            FraudRulesEngine.validateRuleSet(candidate);
+        const liveSet = await FraudRulesEngine.getActiveRuleSet();
+
+        const toMs = to ? new Date(to).getTime() : Date.now();
+        const fromMs = from ? new Date(from).getTime() : toMs - 7 * 24 * 60 * 60 * 1000;
+        let query = _firestore.collection('user_activities')
+            .where('timestamp', '>=', fromMs)
+            .where('timestamp', '<=', toMs);
+        if (userId) query = query.where('userId', '==', userId);
+        if (activity) query = query.where('action', '==', activity);
+        const snapshot = await query.orderBy('timestamp', 'desc').limit(Math.min(limit, 1000)).get();
+
+        const summary = {
+            evaluated: 0,
+            liveVersion: liveSet.version,
+            candidateVersion: candidateSet.version,
+            levels: { live: {}, candidate: {} },
+            levelChanges: {},
+            ruleHits: {},
+            averageScore: { live: 0, candidate: 0 },
+            samples: []
+        };
+
+        // Small chunks keep the number of concurrent history lookups bounded.
+        for (let i = 0; i < snapshot.docs.length; i += 10) {
+            await Promise.all(snapshot.docs.slice(i, i + 10).map(async (doc) => {
+                const data = doc.data();
+                const asOfMs = data.timestamp?.toMillis ? data.timestamp.toMillis() : Number(data.timestamp);
+                const facts = await this.buildFraudFacts(data.userId, data.action, data.contextData || {}, {
+                    asOfMs,
+                    recordLocation: false
+                });
+
+                const live = FraudRulesEngine.evaluate(liveSet, facts);
+                const result = FraudRulesEngine.evaluate(candidateSet, facts);
+                const liveLevel = this.getScoreLevel(live.score);
+                const candidateLevel = this.getScoreLevel(result.score);
+
+                summary.evaluated++;
+                summary.averageScore.live += live.score;
+                summary.averageScore.candidate += result.score;
+                summary.levels.live[liveLevel] = (summary.levels.live[liveLevel] || 0) + 1;
+                summary.levels.candidate[candidateLevel] = (summary.levels.candidate[candidateLevel] || 0) + 1;
+                result.matches.forEach(match => {
+                    summary.ruleHits[match.ruleId] = (summary.ruleHits[match.ruleId] || 0) + 1;
+                });
+
+                if (liveLevel !== candidateLevel) {
+                    const change = `${liveLevel}->${candidateLevel}`;
+                    summary.levelChanges[change] = (summary.levelChanges[change] || 0) + 1;
+                    if (summary.samples.length < 20) {
+                        summary.samples.push({
+                            activityId: doc.id,
+                            userId: data.userId,
+                            action: data.action,
+                            liveScore: live.score,
+                            candidateScore: result.score,
+                            candidateRules: result.matches.map(match => match.ruleId)
+                        });
+                    }
+                }
+            }));
+        }
+
+        if (summary.evaluated > 0) {
+            summary.averageScore.live = Math.round(summary.averageScore.live / summary.evaluated * 10) / 10;
+            summary.averageScore.candidate = Math.round(summary.averageScore.candidate / summary.evaluated * 10) / 10;
+        }
+
+        const runRef = await _firestore.collection('fraud_rule_dry_runs').add({
+            ...summary,
+            window: { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString(), userId, activity },
+            requestedBy: actor.uid || 'system',
+            timestamp: _admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { id: runRef.id, ...summary };
+    }
+
+    // `evaluation` is the FraudRulesEngine result. `contributions` is the audit trail behind the
+    // score (rule, points, reason, facts) read by FraudExplanations; group scores feed the fraud report.
+    // `modelData.features` is the feature vector FraudModel trains on; `modelData.model` what the
+    // model said (also logged in shadow mode).
+    static async logFraudScore(userId, activity, score, factors, evaluation = {}, modelData = {}) {
+        const scoreRef = await _firestore.collection('fraud_scores').add({
             userId,
             activity,
             score,
+            heuristicScore: evaluation.score ?? score,
             factors,
+            ruleSetVersion: evaluation.ruleSetVersion ?? null,
+            groupScores: evaluation.groupScores || {},
+            contributions: (evaluation.matches || []).map(match => ({
+                ruleId: match.ruleId,
+                group: match.group,
+                points: match.appliedScore,
+                rulePoints: match.score,
+                reason: match.reason,
+                facts: match.facts
+            })),
+            cappedAtMaxScore: evaluation.cappedAtMaxScore || false,
+            features: modelData.features || null,
+            model: modelData.model || null,
             timestamp: _admin.firestore.FieldValue.serverTimestamp(),
             level: this.getScoreLevel(score)
         });
+        return scoreRef.id;
+    }
+
+    // Fraud scores over the timeframe by level, rule group and rule, with the payment abuse
+    // groups (promo farming, card testing, refund abuse) broken out.
+    static async generateFraudReport(timeframe = '24h') {
+        const timePeriod = {
+            '1h': 60 * 60 * 1000,
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000,
+            '30d': 30 * 24 * 60 * 60 * 1000
+        }[timeframe] || (24 * 60 * 60 * 1000);
+        const sinceMs = Date.now() - timePeriod;
+
+        const [scoresSnapshot, paymentOverview] = await Promise.all([
+            _firestore.collection('fraud_scores')
+                .where('timestamp', '>=', _admin.firestore.Timestamp.fromMillis(sinceMs))
+                .get(),
+            PaymentAbuseDetection.getAbuseOverview(sinceMs)
+        ]);
+
+        const levels = {};
+        const groups = {};
+        const ruleHits = {};
+        const paymentGroups = { promo: new Set(), card_testing: new Set(), refund: new Set() };
+
+        scoresSnapshot.docs.forEach(doc => {
+            const data = doc.data();
+            levels[data.level] = (levels[data.level] || 0) + 1;
+            Object.entries(data.groupScores || {}).forEach(([group, groupScore]) => {
+                if (groupScore <= 0) return;
+                groups[group] = (groups[group] || 0) + 1;
+                if (paymentGroups[group]) paymentGroups[group].add(data.userId);
+            });
+            (data.factors || []).forEach(factor => {
+                const ruleId = factor.split(':')[0];
+                ruleHits[ruleId] = (ruleHits[ruleId] || 0) + 1;
+            });
+        });
+
+        const report = {
+            timeframe,
+            totalScores: scoresSnapshot.size,
+            levels,
+            groups,
+            topRules: Object.entries(ruleHits)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10)
+                .map(([ruleId, count]) => ({ ruleId, count })),
+            paymentAbuse: {
+                promoFarming: { scores: groups.promo || 0, users: paymentGroups.promo.size },
+                cardTesting: { scores: groups.card_testing || 0, users: paymentGroups.card_testing.size },
+                refundAbuse: { scores: groups.refund || 0, users: paymentGroups.refund.size },
+                ...paymentOverview
+            },
+            generatedAt: new Date().toISOString()
+        };
+
+        await _firestore.collection('fraud_reports').add(report);
+        return report;
+    }
+
+    // Heuristic vs model-blended levels for scores logged while a fraud model was in shadow or
+    // active mode.
+    static async generateModelShadowReport(hours = 24) {
+        return FraudModel.getShadowReport(hours, score => this.getScoreLevel(score));
     }
 
     static getScoreLevel(score) {
@@ -204,7 +549,7 @@ class AIFraudDetection {
         return 'CLEAN';
     }
 
-    static async handleCriticalFraud(userId, activity, score, factors) {
+    static async handleCriticalFraud(userId, activity, score, factors, fraudScoreId = null) {
         await _firestore.collection('users').doc(userId).update({
             suspended: true,
             suspendReason: `Auto-suspended due to critical fraud score: ${score}`,
@@ -218,6 +563,10 @@ class AIFraudDetection {
             activity
         });
 
+        const { caseId } = await FraudCaseManagement.openOrUpdateCase(userId, {
+            severity: 'critical', score, fraudScoreId, activity, factors, autoAction: 'account_suspended'
+        });
+
         await _firestore.collection('admin_alerts').add({
             type: 'critical_fraud',
             severity: 'immediate',
@@ -226,11 +575,12 @@ class AIFraudDetection {
             score,
             factors,
             timestamp: _admin.firestore.FieldValue.serverTimestamp(),
-            autoAction: 'account_suspended'
+            autoAction: 'account_suspended',
+            fraudCaseId: caseId
         });
     }
 
-    static async handleHighFraud(userId, activity, score, factors) {
+    static async handleHighFraud(userId, activity, score, factors, fraudScoreId = null) {
         await _firestore.collection('users').doc(userId).update({
             flaggedForReview: true,
             flagReason: `High fraud score: ${score}`,
@@ -243,6 +593,10 @@ class AIFraudDetection {
             factors,
             activity
         });
+
+        await FraudCaseManagement.openOrUpdateCase(userId, {
+            severity: 'high', score, fraudScoreId, activity, factors, autoAction: 'flagged_for_review'
+        });
     }
 }
 
@@ -1,14 +1,39 @@
 // 020-predictive-analytics.js (Original: PredictiveAnalytics.js)
 const { _admin, _firestore } = require('./001-setup-initialization'); // Updated path
 const { ORDER_STATUS } = require('./002-constants-definition'); // Updated path
+const ZoneManagement = require('./005-zone-management');
 
 class PredictiveAnalytics {
-    static async predictOrderDemand(timeframe = '1h', location = null) {
-        try {
-            const historicalData = await this.getHistoricalOrderData(timeframe, location);
-            const prediction = this.calculateDemandPrediction(historicalData);
+    static timeframes = {
+        '1h': 60 * 60 * 1000,
+        '4h': 4 * 60 * 60 * 1000,
+        '24h': 24 * 60 * 60 * 1000
+    };
 
-            await this.storePrediction('order_demand', prediction, timeframe, location);
+    static async predictOrderDemand(timeframe = '1h', location = null, zoneId = null) {
+        try {
+            const zone = zoneId ? await ZoneManagement.getZone(zoneId) : null;
+            const duration = this.timeframes[timeframe] || this.timeframes['1h'];
+
+            // No demand to predict while the zone is closed for the whole upcoming slot.
+            if (zone) {
+                const nextSlotStart = this.getNextSlotStart(this.getSlotStart(Date.now(), duration, zone), duration, zone);
+                if (!this.isSlotOpen(zone, nextSlotStart, duration)) {
+                    const nextOpening = ZoneManagement.getNextOpeningTime(zone, new Date(nextSlotStart));
+                    return {
+                        predicted: 0,
+                        confidence: 1,
+                        trend: 'closed',
+                        zoneClosed: true,
+                        nextOpeningTime: nextOpening ? nextOpening.toISOString() : null
+                    };
+                }
+            }
+
+            const historicalData = await this.getHistoricalOrderData(timeframe, location, zone);
+            const prediction = this.calculateDemandPrediction(historicalData, duration);
+
+            await this.storePrediction('order_demand', prediction, timeframe, location, zoneId);
 
             return prediction;
         } catch (error) {
@@ -17,14 +42,51 @@ class PredictiveAnalytics {
         }
     }
 
-    static async getHistoricalOrderData(timeframe, location) {
-        const timeframes = {
-            '1h': 60 * 60 * 1000,
-            '4h': 4 * 60 * 60 * 1000,
-            '24h': 24 * 60 * 60 * 1000
+    // Demand per active zone (zones skip their closed slots); the global prediction when no zones
+    // are configured.
+    static async predictOrderDemandForZones(timeframe = '1h') {
+        const zones = await ZoneManagement.getZones();
+        if (zones.length === 0) {
+            return this.predictOrderDemand(timeframe);
+        }
+
+        const predictions = await Promise.all(zones.map(zone => this.predictOrderDemand(timeframe, null, zone.id)));
+        const byZone = {};
+        zones.forEach((zone, i) => { byZone[zone.id] = predictions[i]; });
+        return {
+            predicted: predictions.reduce((sum, prediction) => sum + (prediction?.predicted || 0), 0),
+            zones: byZone
         };
+    }
 
-        const duration = timeframes[timeframe] || timeframes['1h']; // Duration of each time slot
+    // Slots follow the zone's wall clock (e.g. 24h slots start at local midnight); without a zone, UTC.
+    static getSlotStart(ms, duration, zone = null) {
+        if (!zone) return Math.floor(ms / duration) * duration;
+
+        const timeZone = zone.settings?.timezone || 'UTC';
+        const wallClockStart = Math.floor((ms + ZoneManagement.getUtcOffsetMs(new Date(ms), timeZone)) / duration) * duration;
+        // The offset at the slot start can differ from the one at `ms` on DST change days.
+        const guess = wallClockStart - ZoneManagement.getUtcOffsetMs(new Date(ms), timeZone);
+        return wallClockStart - ZoneManagement.getUtcOffsetMs(new Date(guess), timeZone);
+    }
+
+    // Across a DST change the next slot is realigned to the wall clock; never returns `slotStart` itself.
+    static getNextSlotStart(slotStart, duration, zone = null) {
+        const next = this.getSlotStart(slotStart + duration, duration, zone);
+        return next > slotStart ? next : slotStart + duration;
+    }
+
+    // A slot counts as open if the zone is open at any 15-minute sample inside it.
+    static isSlotOpen(zone, slotStart, duration) {
+        const step = 15 * 60 * 1000;
+        for (let t = slotStart; t < slotStart + duration; t += step) {
+            if (ZoneManagement.isZoneOpen(zone, new Date(t))) return true;
+        }
+        return false;
+    }
+
+    static async getHistoricalOrderData(timeframe, location, zone = null) {
+        const duration = this.timeframes[timeframe] || this.timeframes['1h']; // Duration of each time slot
         const now = Date.now();
 
         // Fetch data for the last 7 days to have enough history perhaps
@@ -34,6 +96,9 @@ class PredictiveAnalytics {
         if (location) {
             query = query.where('address.location.city', '==', location);
         }
+        if (zone) {
+            query = query.where('zoneId', '==', zone.id);
+        }
 
         const snapshot = await query.get();
 
@@ -45,7 +110,7 @@ class PredictiveAnalytics {
             const orderTime = data.createdAt?.toMillis ? data.createdAt.toMillis() : new Date(data.createdAt).getTime(); // Fallback for non-Timestamp createdAt
 
             // Calculate which time slot this order falls into
-            const timeSlot = Math.floor(orderTime / duration) * duration;
+            const timeSlot = this.getSlotStart(orderTime, duration, zone);
 
             ordersByTimeSlot[timeSlot] = (ordersByTimeSlot[timeSlot] || 0) + 1;
         });
@@ -62,14 +127,16 @@ class PredictiveAnalytics {
         let maxTime = orderedTimeSlots[orderedTimeSlots.length - 1];
 
         const filledOrdersByTimeSlot = {};
-        for (let t = minTime; t <= maxTime + duration; t += duration) { // +duration to include the next predicted slot as well sometimes.
+        for (let t = minTime; t <= maxTime + duration; t = this.getNextSlotStart(t, duration, zone)) { // +duration to include the next predicted slot as well sometimes.
+            // Closed slots are left out rather than zero-filled so they don't drag the trend down.
+            if (zone && !ordersByTimeSlot[t] && !this.isSlotOpen(zone, t, duration)) continue;
             filledOrdersByTimeSlot[t] = ordersByTimeSlot[t] || 0;
         }
 
         return filledOrdersByTimeSlot;
     }
 
-    static calculateDemandPrediction(historicalData) {
+    static calculateDemandPrediction(historicalData, slotDurationMs = null) {
         const timeSlots = Object.keys(historicalData).map(Number).sort();
         const values = timeSlots.map(slot => historicalData[slot]);
 
@@ -101,7 +168,8 @@ class PredictiveAnalytics {
 
         const lastTimeSlot = timeSlots[timeSlots.length - 1];
         // Dynamic interval calculation for next time slot
-        const timeSlotInterval = timeSlots.length > 1 ? timeSlots[1] - timeSlots[0] : (1 * 60 * 60 * 1000); // Default to 1 hour if only one slot definition
+        // Prefer the known slot duration: with closed slots skipped, neighbouring keys can be further apart
+        const timeSlotInterval = slotDurationMs || (timeSlots.length > 1 ? timeSlots[1] - timeSlots[0] : (1 * 60 * 60 * 1000)); // Default to 1 hour if only one slot definition
         const nextTimeSlot = lastTimeSlot + timeSlotInterval; // Project one interval forward
 
         const predicted = Math.max(0, Math.round(slope * nextTimeSlot + intercept));
@@ -133,12 +201,13 @@ class PredictiveAnalytics {
         };
     }
 
-    static async storePrediction(type, prediction, timeframe, location) {
+    static async storePrediction(type, prediction, timeframe, location, zoneId = null) {
         await _firestore.collection('predictions').add({
             type,
             prediction,
             timeframe,
             location,
+            zoneId,
             createdAt: _admin.firestore.FieldValue.serverTimestamp()
         });
     }
@@ -147,7 +216,7 @@ class PredictiveAnalytics {
         try {
             const onlineDrivers = await this.getOnlineDriversCount();
             const pendingOrders = await this.getPendingOrdersCount();
-            const demandPrediction = await this.predictOrderDemand('1h');
+            const demandPrediction = await this.predictOrderDemandForZones('1h');
 
             const utilizationPrediction = {
                 currentUtilization: onlineDrivers > 0 ? pendingOrders / onlineDrivers : 0,
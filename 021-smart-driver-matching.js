@@ -1,64 +1,246 @@
 // 021-smart-driver-matching.js (Original: SmartDriverMatching.js)
-const { _admin, _firestore } = require('./001-setup-initialization'); // Updated path
+const { _admin, _firestore, _functions } = require('./001-setup-initialization'); // Updated path
 const CacheManager = require('./CacheManager'); // Assuming CacheManager.js is renamed to 017-redis-caching-performance.js OR 003-utilities-helpers.js
-const { distanceRadius } = require('./003-utilities-helpers'); // Updated path
+const AdvancedCacheManager = require('./026-advanced-cache-manager');
+const DistanceEtaProvider = require('./044-distance-eta-provider');
 
 class SmartDriverMatching {
+    static configCollection = 'matching_config'; // 'default' doc plus one override doc per zone id
+
+    // Built-in defaults; Firestore config is merged over these section by section.
+    static defaultConfig = {
+        version: 0,
+        weights: {
+            distance: 0.30,
+            performance: 0.25,
+            availability: 0.20,
+            preference: 0.15,
+            realtime: 0.10
+        },
+        distance: {
+            maxPreferredDistanceMiles: 5,
+            penaltyPerMile: 10 // Points lost per mile beyond the preferred distance
+        },
+        performance: {
+            successRate: 0.35,
+            rating: 0.25,
+            deliveryTime: 0.20,
+            acceptanceRate: 0.20,
+            targetDeliveryMinutes: 20,
+            penaltyPerMinute: 2
+        },
+        fairness: {
+            weight: 0, // Fairness-vs-efficiency knob: 0 = pure efficiency, 1 = pure fairness
+            shiftWindowHours: 8, // Rolling window for assignments and earnings
+            maxIdleMinutes: 60, // Idle time that earns the full idle boost
+            idleShare: 0.5 // Split of the fairness score between idle time and earnings
+        }
+    };
+
     static async findOptimalDriver(orderData, availableDrivers, contextData = {}) {
+        const zoneId = contextData.zoneId || orderData.zoneId;
+        const config = await this.getMatchingConfig(zoneId);
+        const shiftStats = config.fairness.weight > 0 ?
+            await this.getShiftStats(zoneId, config.fairness.shiftWindowHours) : null;
+
         const scoredDrivers = await Promise.all(
             availableDrivers.map(async (driver) => {
-                const score = await this.calculateDriverScore(driver, orderData, contextData);
-                return { ...driver, matchScore: score };
+                const breakdown = await this.calculateDriverScoreBreakdown(driver, orderData, { ...contextData, shiftStats }, config);
+                return { ...driver, matchScore: breakdown.total, scoreBreakdown: breakdown };
             })
         );
 
         return scoredDrivers.sort((a, b) => b.matchScore - a.matchScore);
     }
 
-    static async calculateDriverScore(driver, orderData, contextData) {
-        let score = 100; // Base score
+    static async calculateDriverScore(driver, orderData, contextData, config = null) {
+        const breakdown = await this.calculateDriverScoreBreakdown(driver, orderData, contextData, config);
+        return breakdown.total;
+    }
 
-        // Apply weights and combine scores
-        const distanceScore = this.calculateDistanceScore(driver, orderData);
-        score = (score * 0.70) + (distanceScore * 0.30); // 30% importance for distance
+    // Weighted sum of the component scores (each 0-100), with per-component contributions so
+    // support can explain why a driver ranked where they did.
+    static async calculateDriverScoreBreakdown(driver, orderData, contextData = {}, config = null) {
+        const activeConfig = config || await this.getMatchingConfig(contextData.zoneId || orderData.zoneId);
+        const { weights } = activeConfig;
+
+        const componentScores = {
+            distance: await this.calculateDistanceScore(driver, orderData, activeConfig.distance),
+            performance: await this.calculatePerformanceScore(driver, activeConfig.performance),
+            availability: this.calculateAvailabilityScore(driver, orderData),
+            preference: await this.calculatePreferenceScore(driver, orderData),
+            realtime: await this.calculateRealtimeScore(driver, contextData)
+        };
+
+        const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+        const components = {};
+        let total = 0;
+
+        Object.entries(componentScores).forEach(([name, score]) => {
+            const weight = (weights[name] || 0) / totalWeight;
+            const contribution = score * weight;
+            components[name] = {
+                score: Math.round(score * 100) / 100,
+                weight: Math.round(weight * 1000) / 1000,
+                contribution: Math.round(contribution * 100) / 100
+            };
+            total += contribution;
+        });
+
+        // Blend efficiency with fairness according to the configured knob.
+        const fairnessWeight = activeConfig.fairness?.weight || 0;
+        if (fairnessWeight > 0 && contextData.shiftStats) {
+            const fairness = this.calculateFairnessScore(driver, contextData.shiftStats, activeConfig.fairness);
+            components.fairness = {
+                score: Math.round(fairness.score * 100) / 100,
+                weight: fairnessWeight,
+                contribution: Math.round(fairness.score * fairnessWeight * 100) / 100,
+                idleMinutes: fairness.idleMinutes,
+                shiftEarnings: fairness.earnings,
+                zoneMedianEarnings: contextData.shiftStats.medianEarnings
+            };
+            total = total * (1 - fairnessWeight) + fairness.score * fairnessWeight;
+        }
 
-        const performanceScore = await this.calculatePerformanceScore(driver);
-        score = (score * 0.75) + (performanceScore * 0.25); // 25% importance for performance
+        return {
+            total: Math.round(total * 100) / 100, // Round to 2 decimal places
+            components,
+            configVersion: activeConfig.version,
+            configScope: activeConfig.scope
+        };
+    }
+
+    // --- Fairness ---
+
+    // Aggregates `driver_assignments` over the rolling shift window, per driver.
+    static async getShiftStats(zoneId, shiftWindowHours) {
+        const windowStart = Date.now() - shiftWindowHours * 60 * 60 * 1000;
+        let query = _firestore.collection('driver_assignments')
+            .where('timestamp', '>=', _admin.firestore.Timestamp.fromDate(new Date(windowStart)));
+        if (zoneId) {
+            query = query.where('zoneId', '==', zoneId);
+        }
+
+        const snapshot = await query.get();
+        const perDriver = {};
+
+        snapshot.docs.forEach(doc => {
+            const data = doc.data();
+            const stats = perDriver[data.driverId] || (perDriver[data.driverId] = { assignments: 0, earnings: 0, lastAssignedAt: 0 });
+            stats.assignments++;
+            stats.earnings += data.earnings || 0;
+            const assignedAt = data.timestamp?.toMillis ? data.timestamp.toMillis() : 0;
+            stats.lastAssignedAt = Math.max(stats.lastAssignedAt, assignedAt);
+        });
+
+        return {
+            zoneId: zoneId || null,
+            windowStart,
+            perDriver,
+            medianEarnings: this.median(Object.values(perDriver).map(stats => stats.earnings))
+        };
+    }
 
-        const availabilityScore = this.calculateAvailabilityScore(driver, orderData);
-        score = (score * 0.80) + (availabilityScore * 0.20); // 20% importance for availability
+    // 0-100: boosts drivers idle the longest and those earning below the zone median this shift.
+    static calculateFairnessScore(driver, shiftStats, fairnessConfig = this.defaultConfig.fairness) {
+        const stats = shiftStats.perDriver[driver.id] || { assignments: 0, earnings: 0, lastAssignedAt: 0 };
+
+        const idleSince = stats.lastAssignedAt || shiftStats.windowStart;
+        const idleMinutes = Math.round((Date.now() - idleSince) / 60000);
+        const idleScore = Math.min(100, (idleMinutes / fairnessConfig.maxIdleMinutes) * 100);
+
+        // Zero earnings scores 100, the median 50, twice the median or more 0.
+        const median = shiftStats.medianEarnings;
+        const earningsScore = median > 0 ?
+            Math.max(0, Math.min(100, 100 * (1 - stats.earnings / (2 * median)))) :
+            (stats.earnings > 0 ? 0 : 100);
+
+        return {
+            score: idleScore * fairnessConfig.idleShare + earningsScore * (1 - fairnessConfig.idleShare),
+            idleMinutes,
+            earnings: Math.round(stats.earnings * 100) / 100
+        };
+    }
 
-        const preferenceScore = await this.calculatePreferenceScore(driver, orderData);
-        score = (score * 0.85) + (preferenceScore * 0.15); // 15% importance for preferences
+    static median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
 
-        const realtimeScore = await this.calculateRealtimeScore(driver, contextData);
-        score = (score * 0.90) + (realtimeScore * 0.10); // 10% importance for realtime factors
+    // Distribution of assignments and earnings per driver in a zone, for ops to monitor fairness.
+    static async generateFairnessReport(zoneId = null, shiftWindowHours = 8) {
+        const shiftStats = await this.getShiftStats(zoneId, shiftWindowHours);
+        const drivers = Object.entries(shiftStats.perDriver).map(([driverId, stats]) => ({ driverId, ...stats }));
+        const assignments = drivers.map(d => d.assignments);
+        const earnings = drivers.map(d => d.earnings);
+
+        const report = {
+            zoneId: zoneId || 'all',
+            shiftWindowHours,
+            driverCount: drivers.length,
+            totalAssignments: assignments.reduce((a, b) => a + b, 0),
+            assignments: this.describeDistribution(assignments),
+            earnings: this.describeDistribution(earnings),
+            // Histogram: number of drivers per assignment count
+            assignmentHistogram: assignments.reduce((histogram, count) => {
+                histogram[count] = (histogram[count] || 0) + 1;
+                return histogram;
+            }, {}),
+            topDrivers: drivers.sort((a, b) => b.assignments - a.assignments).slice(0, 10)
+                .map(d => ({ driverId: d.driverId, assignments: d.assignments, earnings: Math.round(d.earnings * 100) / 100 })),
+            generatedAt: new Date().toISOString()
+        };
+
+        await _firestore.collection('fairness_reports').add(report);
+        return report;
+    }
 
-        return Math.round(score * 100) / 100; // Round to 2 decimal places
+    static describeDistribution(values) {
+        if (values.length === 0) {
+            return { min: 0, max: 0, mean: 0, median: 0, stdDev: 0, gini: 0 };
+        }
+        const n = values.length;
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+
+        // Gini coefficient: 0 = perfectly even, approaching 1 = concentrated on few drivers
+        const sorted = [...values].sort((a, b) => a - b);
+        const weightedSum = sorted.reduce((sum, v, i) => sum + (i + 1) * v, 0);
+        const gini = mean > 0 ? (2 * weightedSum) / (n * n * mean) - (n + 1) / n : 0;
+
+        const round = v => Math.round(v * 100) / 100;
+        return {
+            min: sorted[0],
+            max: sorted[n - 1],
+            mean: round(mean),
+            median: round(this.median(values)),
+            stdDev: round(Math.sqrt(variance)),
+            gini: round(gini)
+        };
     }
 
-    static calculateDistanceScore(driver, orderData) {
+    static async calculateDistanceScore(driver, orderData, thresholds = this.defaultConfig.distance) {
         // Ensure necessary data for calculation
         // driver.location: {latitude, longitude}, orderData.vendor: {latitude, longitude}
         if (!driver.location || !orderData.vendor?.latitude || !orderData.vendor?.longitude) return 50; // Neutral score if data is missing
 
-        const maxPreferredDistance = 5; // miles
-        const distanceMiles = distanceRadius(
-            driver.location.latitude, driver.location.longitude,
-            orderData.vendor.latitude, orderData.vendor.longitude
-        );
+        const { maxPreferredDistanceMiles, penaltyPerMile } = thresholds;
+        // Road distance from the search step when available, otherwise ask the provider.
+        const distanceMiles = Number.isFinite(driver.roadDistanceMiles) ? driver.roadDistanceMiles :
+            (await DistanceEtaProvider.getRoute(driver.location, orderData.vendor, { vehicleType: driver.vehicleType })).distanceMiles;
 
-        if (distanceMiles <= maxPreferredDistance) {
+        if (distanceMiles <= maxPreferredDistanceMiles) {
             return 100; // Optimal distance
         }
 
-        // Score decreases linearly after maxPreferredDistance
-        // For every mile past preferred, reduce score by 10 points
-        const score = Math.max(0, 100 - ((distanceMiles - maxPreferredDistance) * 10));
+        // Score decreases linearly after maxPreferredDistanceMiles
+        const score = Math.max(0, 100 - ((distanceMiles - maxPreferredDistanceMiles) * penaltyPerMile));
         return score;
     }
 
-    static async calculatePerformanceScore(driver) {
+    static async calculatePerformanceScore(driver, weights = this.defaultConfig.performance) {
         try {
             const last30Days = Date.now() - (30 * 24 * 60 * 60 * 1000);
 
@@ -77,9 +259,16 @@ class SmartDriverMatching {
             let ratingCount = 0;
             let totalDeliveryTime = 0; // Sum of delivery times in minutes
             let deliveryTimeCount = 0;
+            let offersAnswered = 0;
+            let offersAccepted = 0;
 
             performanceSnapshot.docs.forEach(doc => {
                 const data = doc.data();
+                if (data.type === 'offer_response') { // Written by DriverOrderRequests on accept/reject
+                    offersAnswered++;
+                    if (data.accepted) offersAccepted++;
+                    return;
+                }
                 totalDeliveries++;
 
                 if (data.successful) successfulDeliveries++;
@@ -96,17 +285,16 @@ class SmartDriverMatching {
             const successRate = (totalDeliveries > 0 ? (successfulDeliveries / totalDeliveries) : 1) * 100;
             const avgRating = ratingCount > 0 ? totalRating / ratingCount : 4.5; // Default if no ratings
             const avgTime = deliveryTimeCount > 0 ? totalDeliveryTime / deliveryTimeCount : 30; // Default if no delivery times (in minutes)
+            const acceptanceRate = (offersAnswered > 0 ? (offersAccepted / offersAnswered) : 1) * 100;
 
             let score = 0;
-            // Success rate (40% weight)
-            score += Math.min(successRate, 100) * 0.4;
+            score += Math.min(successRate, 100) * weights.successRate;
+            score += (avgRating / 5) * 100 * weights.rating;
 
-            // Average Rating (30% weight)
-            score += (avgRating / 5) * 100 * 0.3;
+            // Average Delivery Time - lower is better; penalized per minute over the target.
+            score += Math.max(0, 100 - ((avgTime - weights.targetDeliveryMinutes) * weights.penaltyPerMinute)) * weights.deliveryTime;
 
-            // Average Delivery Time (30% weight) - lower is better
-            // Optimal target: 20 minutes. Penalize 2 points for every min over 20.
-            score += Math.max(0, 100 - ((avgTime - 20) * 2)) * 0.3;
+            score += Math.min(acceptanceRate, 100) * weights.acceptanceRate;
 
             return Math.max(0, Math.min(100, score)); // Ensure score is between 0 and 100
         } catch (error) {
@@ -189,6 +377,109 @@ class SmartDriverMatching {
 
         return Math.max(0, score);
     }
+
+    // --- Matching configuration ---
+
+    static async getMatchingConfig(zoneId = null) {
+        const cacheKey = `matching_config_${zoneId || 'default'}`;
+        return AdvancedCacheManager.getWithSmartTTL(cacheKey, async () => {
+            const defaultDoc = await _firestore.collection(this.configCollection).doc('default').get();
+            let config = this.mergeConfig(this.defaultConfig, defaultDoc.exists ? defaultDoc.data() : {});
+            config.scope = 'default';
+
+            if (zoneId) {
+                const zoneDoc = await _firestore.collection(this.configCollection).doc(zoneId).get();
+                if (zoneDoc.exists) {
+                    config = this.mergeConfig(config, zoneDoc.data());
+                    config.scope = `zone:${zoneId}`;
+                }
+            }
+            return config;
+        }, 10);
+    }
+
+    static mergeConfig(base, override = {}) {
+        return {
+            ...base,
+            version: override.version ?? base.version,
+            weights: { ...base.weights, ...(override.weights || {}) },
+            distance: { ...base.distance, ...(override.distance || {}) },
+            performance: { ...base.performance, ...(override.performance || {}) },
+            fairness: { ...base.fairness, ...(override.fairness || {}) }
+        };
+    }
+
+    // Validates a (possibly partial) config the way it will be merged at read time: onto the built-in
+    // defaults for the default scope, onto the stored default config (`base`) for a zone override.
+    static validateMatchingConfig(config, base = this.defaultConfig) {
+        const merged = this.mergeConfig(base, config);
+        const errors = [];
+
+        Object.entries(config.weights || {}).forEach(([name, value]) => {
+            if (!(name in this.defaultConfig.weights)) errors.push(`Unknown weight: ${name}`);
+            if (typeof value !== 'number' || value < 0 || value > 1) errors.push(`Weight ${name} must be between 0 and 1`);
+        });
+        if (Object.values(merged.weights).reduce((sum, w) => sum + w, 0) <= 0) {
+            errors.push('At least one weight must be positive');
+        }
+
+        if (!(merged.distance.maxPreferredDistanceMiles > 0)) errors.push('distance.maxPreferredDistanceMiles must be positive');
+        if (!(merged.distance.penaltyPerMile >= 0)) errors.push('distance.penaltyPerMile must be non-negative');
+
+        const { successRate, rating, deliveryTime, acceptanceRate } = merged.performance;
+        const performanceSum = successRate + rating + deliveryTime + acceptanceRate;
+        if ([successRate, rating, deliveryTime, acceptanceRate].some(w => typeof w !== 'number' || w < 0) ||
+            Math.abs(performanceSum - 1) > 0.001) {
+            errors.push('performance weights must be non-negative and sum to 1');
+        }
+        if (!(merged.performance.targetDeliveryMinutes > 0)) errors.push('performance.targetDeliveryMinutes must be positive');
+
+        const { weight, shiftWindowHours, maxIdleMinutes, idleShare } = merged.fairness;
+        if (!(weight >= 0 && weight <= 1)) errors.push('fairness.weight must be between 0 and 1');
+        if (!(idleShare >= 0 && idleShare <= 1)) errors.push('fairness.idleShare must be between 0 and 1');
+        if (!(shiftWindowHours > 0 && shiftWindowHours <= 24)) errors.push('fairness.shiftWindowHours must be between 0 and 24');
+        if (!(maxIdleMinutes > 0)) errors.push('fairness.maxIdleMinutes must be positive');
+
+        if (errors.length > 0) {
+            throw new _functions.https.HttpsError('invalid-argument', `Invalid matching config: ${errors.join('; ')}`);
+        }
+        return merged;
+    }
+
+    // Writes a new version of the default (scope 'default') or a zone override. The previous
+    // version is archived under `versions/` so changes can be audited and rolled back.
+    static async updateMatchingConfig(scope, config, actor = {}) {
+        let base = this.defaultConfig;
+        if (scope && scope !== 'default') {
+            const defaultDoc = await _firestore.collection(this.configCollection).doc('default').get();
+            base = this.mergeConfig(this.defaultConfig, defaultDoc.exists ? defaultDoc.data() : {});
+        }
+        this.validateMatchingConfig(config, base);
+        const configRef = _firestore.collection(this.configCollection).doc(scope || 'default');
+
+        const version = await _firestore.runTransaction(async (transaction) => {
+            const current = await transaction.get(configRef);
+            const nextVersion = current.exists ? (current.data().version || 0) + 1 : 1;
+
+            if (current.exists) {
+                transaction.set(configRef.collection('versions').doc(String(current.data().version || 0)), current.data());
+            }
+
+            transaction.set(configRef, {
+                weights: config.weights || {},
+                distance: config.distance || {},
+                performance: config.performance || {},
+                fairness: config.fairness || {},
+                version: nextVersion,
+                updatedBy: actor.uid || 'system',
+                updatedAt: _admin.firestore.FieldValue.serverTimestamp()
+            });
+            return nextVersion;
+        });
+
+        await AdvancedCacheManager.invalidate('matching_config_');
+        return { scope: scope || 'default', version };
+    }
 }
 
 module.exports = SmartDriverMatching;
\ No newline at end of file
@@ -1,11 +1,29 @@
 // 023-optimized-driver-search.js (Original: OptimizedDriverSearch.js)
 const { _admin, _firestore } = require('./001-setup-initialization'); // Updated path
 const CacheManager = require('./CacheManager'); // Assuming CacheManager.js is renamed to 017-redis-caching-performance.js OR 003-utilities-helpers.js
-const { distanceRadius } = require('./003-utilities-helpers'); // Updated path
+const { distanceRadius, getAvailableDrivers } = require('./003-utilities-helpers'); // Updated path
+const ZoneManagement = require('./005-zone-management');
+const DistanceEtaProvider = require('./044-distance-eta-provider');
 
+const MILES_PER_DEGREE_LAT = 69;
+
+// Grid cells are roughly square in miles: rows are fixed latitude bands and each row is split
+// into a whole number of columns widened by 1/cos(latitude). Level L cells are
+// baseCellSizeMiles * 2^L across; zones may be indexed at a coarser or finer level (adaptive grid).
 class OptimizedDriverSearch {
-    static spatialIndex = new Map(); // Map<gridKey, List<Driver>>
-    static gridSize = 0.01; // Degrees, roughly 1.11 km at equator
+    static spatialIndex = new Map(); // Map<gridKey, List<Driver>>, keys are `${level}:${row}:${col}`
+    static driverCells = new Map(); // Map<driverId, gridKey[]>, one key per active level, for incremental moves
+    static baseCellSizeMiles = 0.69; // Level 0, about the previous 0.01 degrees of latitude
+    static activeLevels = [0]; // Every indexed driver is present at each active level
+    static zoneLevels = new Map(); // Map<zoneId, level>, levels other than 0 chosen by the adaptive grid
+    static adaptiveGrid = {
+        enabled: false,
+        targetDriversPerCell: 4,
+        minLevel: -2,
+        maxLevel: 3,
+        refreshIntervalMs: 5 * 60 * 1000
+    };
+    static lastAdaptiveRefresh = 0;
 
     static async getAvailableDriversOptimized(orderId, orderData, dispatchMetadata) {
         const cacheKey = `optimized_drivers_${orderData.vendorID}_${dispatchMetadata.zone_id || 'default'}_${dispatchMetadata.currentRound || '1'}`;
@@ -20,11 +38,13 @@ class OptimizedDriverSearch {
 
         let relevantDrivers = drivers; // Default to all if no vendor location
         if (orderData.vendor?.latitude && orderData.vendor?.longitude) {
-            relevantDrivers = this.getDriversNearLocation(
+            const nearbyDrivers = this.getDriversNearLocation(
                 orderData.vendor.latitude,
                 orderData.vendor.longitude,
-                dispatchMetadata.kDistanceRadiusForDispatchInMiles || 50
+                dispatchMetadata.kDistanceRadiusForDispatchInMiles || 50,
+                dispatchMetadata.zone_id
             );
+            relevantDrivers = await this.annotateRoadDistances(nearbyDrivers, orderData.vendor);
         }
 
         await CacheManager.set(cacheKey, relevantDrivers, 2);
@@ -32,49 +52,129 @@ class OptimizedDriverSearch {
     }
 
     static async fetchAndIndexDrivers(orderId, orderData, dispatchMetadata) {
-        const drivers = await getAvailableDrivers(orderId, orderData, dispatchMetadata); // Assuming getAvailableDrivers is imported correctly
+        const drivers = await getAvailableDrivers(orderId, orderData, dispatchMetadata);
         await this.updateSpatialIndex(drivers);
+
+        if (this.adaptiveGrid.enabled && Date.now() - this.lastAdaptiveRefresh > this.adaptiveGrid.refreshIntervalMs) {
+            await this.refreshAdaptiveLevels();
+        }
         return drivers;
     }
 
+    // Merges drivers into the index one by one, so drivers fetched for other orders or moved by
+    // location pings are kept.
     static async updateSpatialIndex(drivers) {
-        const now = Date.now();
-        // Create a *new* temporary index and replace the old one for atomicity and cleaner updates
-        const newSpatialIndex = new Map();
+        drivers.forEach(driver => this.upsertDriver(driver));
+        // The explicit cleanupOldIndexEntries call below ensures any drivers that went offline are truly removed.
+        this.cleanupOldIndexEntries();
+    }
 
-        drivers.forEach(driver => {
-            if (driver.location?.latitude && driver.location?.longitude) {
-                const gridKey = this.getGridKey(driver.location.latitude, driver.location.longitude);
+    // Only active, idle drivers seen online within the last 10 minutes are indexed, so drivers picking
+    // up an order drop out of dispatch on their next location ping.
+    static isIndexable(driver, now = Date.now()) {
+        return Boolean(driver.location?.latitude && driver.location?.longitude &&
+            driver.active && driver.isActive && (driver.inProgressOrderID || []).length === 0 &&
+            driver.lastSeenOnline && (now - driver.lastSeenOnline.toMillis()) < (10 * 60 * 1000));
+    }
 
-                if (!newSpatialIndex.has(gridKey)) {
-                    newSpatialIndex.set(gridKey, []);
-                }
-                // Only add if driver is active and recently seen online (within 10 minutes)
-                if (driver.active && driver.isActive && driver.lastSeenOnline && (now - driver.lastSeenOnline.toMillis()) < (10 * 60 * 1000)) {
-                    const gridDrivers = newSpatialIndex.get(gridKey);
-                    const existingIndex = gridDrivers.findIndex(d => d.id === driver.id);
-                    if (existingIndex >= 0) {
-                        gridDrivers[existingIndex] = driver; // Update existing
-                    } else {
-                        gridDrivers.push(driver); // Add new
-                    }
-                }
+    // Moves a single driver to the cells of its current location (or out of the index when it is
+    // no longer indexable) without touching any other cell. Reports the level 0 move.
+    static upsertDriver(driver) {
+        const previousKeys = this.driverCells.get(driver.id) || [];
+        const newKeys = this.isIndexable(driver) ?
+            this.activeLevels.map(level => this.getGridKey(driver.location.latitude, driver.location.longitude, level)) : [];
+
+        previousKeys.filter(key => !newKeys.includes(key)).forEach(key => this.removeFromCell(key, driver.id));
+
+        newKeys.forEach(key => {
+            if (!this.spatialIndex.has(key)) {
+                this.spatialIndex.set(key, []);
+            }
+            const gridDrivers = this.spatialIndex.get(key);
+            const existingIndex = gridDrivers.findIndex(d => d.id === driver.id);
+            if (existingIndex >= 0) {
+                gridDrivers[existingIndex] = driver; // Update existing
+            } else {
+                gridDrivers.push(driver); // Add new
             }
         });
-        this.spatialIndex = newSpatialIndex; // Replace the old index
-        // The explicit cleanupOldIndexEntries call below ensures any drivers that went offline are truly removed.
-        this.cleanupOldIndexEntries();
+
+        if (newKeys.length > 0) {
+            this.driverCells.set(driver.id, newKeys);
+        } else {
+            this.driverCells.delete(driver.id);
+        }
+
+        return { previousKey: previousKeys[0] || null, newKey: newKeys[0] || null };
     }
 
-    static getGridKey(latitude, longitude) {
-        // Round down to the nearest grid point for consistent key generation
-        const gridLat = Math.floor(latitude / this.gridSize) * this.gridSize;
-        const gridLng = Math.floor(longitude / this.gridSize) * this.gridSize;
-        return `${gridLat.toFixed(6)}_${gridLng.toFixed(6)}`; // Increased precision for key
+    static removeDriver(driverId) {
+        (this.driverCells.get(driverId) || []).forEach(key => this.removeFromCell(key, driverId));
+        this.driverCells.delete(driverId);
     }
 
-    static getDriversNearLocation(latitude, longitude, radiusMiles) {
-        const gridKeys = this.getNearbyGridKeys(latitude, longitude, radiusMiles);
+    static removeFromCell(key, driverId) {
+        const remaining = (this.spatialIndex.get(key) || []).filter(d => d.id !== driverId);
+        if (remaining.length === 0) {
+            this.spatialIndex.delete(key);
+        } else {
+            this.spatialIndex.set(key, remaining);
+        }
+    }
+
+    static clearIndex() {
+        this.spatialIndex.clear();
+        this.driverCells.clear();
+    }
+
+    // --- Grid geometry ---
+
+    static getCellSizeMiles(level = 0) {
+        return this.baseCellSizeMiles * Math.pow(2, level);
+    }
+
+    static getRowHeightDegrees(level) {
+        return this.getCellSizeMiles(level) / MILES_PER_DEGREE_LAT;
+    }
+
+    static getRowCount(level) {
+        return Math.ceil(180 / this.getRowHeightDegrees(level));
+    }
+
+    static getRowColumns(row, level) {
+        const rowHeight = this.getRowHeightDegrees(level);
+        const centerLatitude = -90 + (row + 0.5) * rowHeight;
+        const milesPerDegreeLng = MILES_PER_DEGREE_LAT * Math.max(Math.cos(centerLatitude * Math.PI / 180), 0.01);
+        return Math.max(1, Math.floor(360 * milesPerDegreeLng / this.getCellSizeMiles(level)));
+    }
+
+    static getRow(latitude, level) {
+        return Math.min(this.getRowCount(level) - 1, Math.max(0, Math.floor((latitude + 90) / this.getRowHeightDegrees(level))));
+    }
+
+    static getColumn(longitude, row, level) {
+        const columns = this.getRowColumns(row, level);
+        return Math.min(columns - 1, Math.floor((longitude + 180) / (360 / columns)));
+    }
+
+    static getGridKey(latitude, longitude, level = 0) {
+        const row = this.getRow(latitude, level);
+        return `${level}:${row}:${this.getColumn(longitude, row, level)}`;
+    }
+
+    // Column indices wrap around the antimeridian.
+    static cellKey(level, row, column) {
+        const columns = this.getRowColumns(row, level);
+        return `${level}:${row}:${((column % columns) + columns) % columns}`;
+    }
+
+    static getLevelForZone(zoneId) {
+        const level = zoneId ? this.zoneLevels.get(zoneId) : undefined;
+        return level !== undefined && this.activeLevels.includes(level) ? level : 0;
+    }
+
+    static getDriversNearLocation(latitude, longitude, radiusMiles, zoneId = null) {
+        const gridKeys = this.getNearbyGridKeys(latitude, longitude, radiusMiles, this.getLevelForZone(zoneId));
         const nearbyDrivers = new Map(); // Use Map to ensure unique drivers
 
         gridKeys.forEach(key => {
@@ -98,39 +198,171 @@ class OptimizedDriverSearch {
         return Array.from(nearbyDrivers.values()).sort((a, b) => a.distance - b.distance);
     }
 
-    static getNearbyGridKeys(latitude, longitude, radiusMiles) {
-        const milesPerDegreeLat = 69;
-        const milesPerDegreeLon = 69 * Math.cos(latitude * Math.PI / 180);
+    // The radius filter stays great-circle (a lower bound on road distance); candidates are then
+    // re-ranked by road ETA to the vendor. `distance` becomes road miles for downstream scoring.
+    static async annotateRoadDistances(drivers, destination) {
+        if (drivers.length === 0) return drivers;
+
+        const routes = await DistanceEtaProvider.getDriverRoutes(drivers, destination);
+        return drivers.map(driver => {
+            const route = routes.get(driver.id);
+            if (!route || !Number.isFinite(route.durationMinutes)) return driver;
+            return {
+                ...driver,
+                roadDistanceMiles: route.distanceMiles,
+                etaMinutes: Math.round(route.durationMinutes * 10) / 10,
+                distance: route.distanceMiles
+            };
+        }).sort((a, b) => (a.etaMinutes ?? Infinity) - (b.etaMinutes ?? Infinity));
+    }
 
-        const latRangeDegrees = radiusMiles / milesPerDegreeLat;
-        const lonRangeDegrees = radiusMiles / milesPerDegreeLon;
+    // Closest `k` drivers, searching rings of cells outwards until k drivers are found. The ring
+    // search only gives an upper bound (cells are not circles), so the final answer comes from an
+    // exact radius query at the k-th distance.
+    static getKNearestDrivers(latitude, longitude, k, { maxRadiusMiles = 50, zoneId = null } = {}) {
+        if (!(k > 0)) return [];
 
+        const level = this.getLevelForZone(zoneId);
+        const maxRing = Math.ceil(maxRadiusMiles / this.getCellSizeMiles(level)) + 1;
+        const found = new Map();
+
+        for (let ring = 0; ring <= maxRing && found.size < k; ring++) {
+            this.getRingKeys(latitude, longitude, ring, level).forEach(key => {
+                (this.spatialIndex.get(key) || []).forEach(driver => found.set(driver.id, driver));
+            });
+        }
+        if (found.size === 0) return [];
+
+        const distances = Array.from(found.values())
+            .map(driver => distanceRadius(latitude, longitude, driver.location.latitude, driver.location.longitude))
+            .sort((a, b) => a - b);
+        const boundMiles = Math.min(maxRadiusMiles, distances[Math.min(k, distances.length) - 1]);
+
+        return this.getDriversNearLocation(latitude, longitude, boundMiles, zoneId).slice(0, k);
+    }
+
+    // Cells at Chebyshev distance `ring` from the query cell. Each row is offset from the query's
+    // column in that row, since rows have different column counts.
+    static getRingKeys(latitude, longitude, ring, level) {
+        const centerRow = this.getRow(latitude, level);
+        const keys = new Set();
+
+        for (let row = centerRow - ring; row <= centerRow + ring; row++) {
+            if (row < 0 || row >= this.getRowCount(level)) continue;
+            const column = this.getColumn(longitude, row, level);
+            if (Math.abs(row - centerRow) === ring) {
+                for (let c = column - ring; c <= column + ring; c++) keys.add(this.cellKey(level, row, c));
+            } else {
+                keys.add(this.cellKey(level, row, column - ring));
+                keys.add(this.cellKey(level, row, column + ring));
+            }
+        }
+        return Array.from(keys);
+    }
+
+    static getNearbyGridKeys(latitude, longitude, radiusMiles, level = 0) {
+        const latRangeDegrees = radiusMiles / MILES_PER_DEGREE_LAT;
+        const rowHeight = this.getRowHeightDegrees(level);
         const keys = new Set();
 
-        const startLat = Math.floor((latitude - latRangeDegrees) / this.gridSize) * this.gridSize;
-        const endLat = Math.ceil((latitude + latRangeDegrees) / this.gridSize) * this.gridSize;
-        const startLng = Math.floor((longitude - lonRangeDegrees) / this.gridSize) * this.gridSize;
-        const endLng = Math.ceil((longitude + lonRangeDegrees) / this.gridSize) * this.gridSize;
+        const startRow = this.getRow(latitude - latRangeDegrees, level);
+        const endRow = this.getRow(latitude + latRangeDegrees, level);
+
+        for (let row = startRow; row <= endRow; row++) {
+            const columns = this.getRowColumns(row, level);
+            const columnWidth = 360 / columns;
+
+            // The circle is widest (in degrees of longitude) at the row edge nearest the pole.
+            const rowStart = -90 + row * rowHeight;
+            const poleSideLatitude = Math.min(89.9, Math.max(Math.abs(rowStart), Math.abs(rowStart + rowHeight)));
+            const lonRangeDegrees = radiusMiles / (MILES_PER_DEGREE_LAT * Math.max(Math.cos(poleSideLatitude * Math.PI / 180), 0.01));
 
-        // Iterate through all grid cells in the bounding box
-        for (let lat = startLat; lat <= endLat; lat += this.gridSize) {
-            for (let lng = startLng; lng <= endLng; lng += this.gridSize) {
-                keys.add(this.getGridKey(lat, lng));
+            if (lonRangeDegrees * 2 >= 360) {
+                for (let c = 0; c < columns; c++) keys.add(this.cellKey(level, row, c));
+                continue;
             }
+            const startColumn = Math.floor((longitude - lonRangeDegrees + 180) / columnWidth);
+            const endColumn = Math.floor((longitude + lonRangeDegrees + 180) / columnWidth);
+            for (let c = startColumn; c <= endColumn; c++) keys.add(this.cellKey(level, row, c));
         }
         return Array.from(keys);
     }
 
+    // --- Adaptive grid ---
+
+    // Picks a cell level per zone so that cells hold about `targetDriversPerCell` drivers: dense
+    // downtown zones get finer cells, sparse suburbs coarser ones. Re-indexes when levels change.
+    static async refreshAdaptiveLevels() {
+        const { targetDriversPerCell, minLevel, maxLevel } = this.adaptiveGrid;
+        const zones = await ZoneManagement.getZones();
+        const drivers = this.getIndexedDrivers();
+        const zoneLevels = new Map();
+
+        zones.forEach(zone => {
+            const areaSqMiles = this.estimateAreaSqMiles(zone.geometry);
+            if (!(areaSqMiles > 0)) return;
+
+            const driverCount = drivers.filter(driver =>
+                ZoneManagement.pointInGeometry(driver.location.latitude, driver.location.longitude, zone.geometry)).length;
+            const targetCellSizeMiles = Math.sqrt(areaSqMiles * targetDriversPerCell / Math.max(driverCount, 1));
+            const level = Math.min(maxLevel, Math.max(minLevel,
+                Math.round(Math.log2(targetCellSizeMiles / this.baseCellSizeMiles))));
+
+            if (level !== 0) zoneLevels.set(zone.id, level);
+        });
+
+        const activeLevels = [0, ...new Set(zoneLevels.values())].sort((a, b) => a - b);
+        const levelsChanged = activeLevels.join() !== this.activeLevels.join();
+
+        this.zoneLevels = zoneLevels;
+        this.lastAdaptiveRefresh = Date.now();
+
+        if (levelsChanged) {
+            this.activeLevels = activeLevels;
+            this.clearIndex();
+            drivers.forEach(driver => this.upsertDriver(driver));
+            console.log(`OptimizedDriverSearch: Re-indexed ${drivers.length} drivers at levels ${activeLevels.join(', ')}`);
+        }
+
+        return Object.fromEntries(zoneLevels);
+    }
+
+    static getIndexedDrivers() {
+        const drivers = new Map();
+        for (const [key, cellDrivers] of this.spatialIndex) {
+            if (key.startsWith('0:')) cellDrivers.forEach(driver => drivers.set(driver.id, driver));
+        }
+        return Array.from(drivers.values());
+    }
+
+    // Shoelace formula on an equirectangular projection; holes are subtracted.
+    static estimateAreaSqMiles(geometry) {
+        if (!geometry) return 0;
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+        const ringArea = (ring) => {
+            const meanLatitude = ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length;
+            const milesPerDegreeLng = MILES_PER_DEGREE_LAT * Math.cos(meanLatitude * Math.PI / 180);
+            let area = 0;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                area += (ring[j][0] * milesPerDegreeLng) * (ring[i][1] * MILES_PER_DEGREE_LAT) -
+                    (ring[i][0] * milesPerDegreeLng) * (ring[j][1] * MILES_PER_DEGREE_LAT);
+            }
+            return Math.abs(area) / 2;
+        };
+
+        return polygons.reduce((total, [outer, ...holes]) =>
+            total + ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0), 0);
+    }
+
     static cleanupOldIndexEntries() {
-        const cutoffTime = Date.now() - (10 * 60 * 1000); // 10 minutes ago
+        const now = Date.now();
 
         // Filter drivers within each grid cell
         for (const [key, drivers] of this.spatialIndex) {
-            const activeDrivers = drivers.filter(driver => {
-                // Ensure driver is truly active and recently seen online
-                return driver.active && driver.isActive &&
-                       driver.lastSeenOnline && driver.lastSeenOnline.toMillis() > cutoffTime;
-            });
+            // Ensure driver is truly active and recently seen online
+            const activeDrivers = drivers.filter(driver => this.isIndexable(driver, now));
+            drivers.filter(driver => !activeDrivers.includes(driver)).forEach(driver => this.driverCells.delete(driver.id));
 
             if (activeDrivers.length === 0) {
                 this.spatialIndex.delete(key);
@@ -142,21 +374,44 @@ class OptimizedDriverSearch {
     }
 
     static getSpatialIndexStatistics() {
-        let totalDrivers = 0;
         const gridStats = {};
+        const levels = {};
 
         for (const [key, drivers] of this.spatialIndex) {
-            totalDrivers += drivers.length;
-            gridStats[key] = drivers.length;
+            const level = Number(key.split(':')[0]);
+            const stats = levels[level] || (levels[level] = {
+                cellSizeMiles: Math.round(this.getCellSizeMiles(level) * 100) / 100,
+                cells: 0,
+                drivers: 0,
+                maxOccupancy: 0,
+                occupancyHistogram: {} // Bucketed drivers-per-cell -> number of cells
+            });
+            stats.cells++;
+            stats.drivers += drivers.length;
+            stats.maxOccupancy = Math.max(stats.maxOccupancy, drivers.length);
+            const bucket = this.getOccupancyBucket(drivers.length);
+            stats.occupancyHistogram[bucket] = (stats.occupancyHistogram[bucket] || 0) + 1;
+
+            if (level === 0) gridStats[key] = drivers.length;
         }
 
+        const baseCells = levels[0]?.cells || 0;
         return {
-            totalGrids: this.spatialIndex.size,
-            totalDrivers,
-            averageDriversPerGrid: totalDrivers / Math.max(this.spatialIndex.size, 1),
-            gridStats
+            totalGrids: baseCells,
+            totalDrivers: this.driverCells.size,
+            averageDriversPerGrid: this.driverCells.size / Math.max(baseCells, 1),
+            gridStats,
+            levels,
+            zoneLevels: Object.fromEntries(this.zoneLevels)
         };
     }
+
+    // Power-of-two buckets: '1', '2-3', '4-7', '8-15', ...
+    static getOccupancyBucket(count) {
+        if (count <= 1) return String(count);
+        const lower = Math.pow(2, Math.floor(Math.log2(count)));
+        return `${lower}-${lower * 2 - 1}`;
+    }
 }
 
 module.exports = OptimizedDriverSearch;
\ No newline at end of file
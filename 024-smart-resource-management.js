@@ -120,7 +120,7 @@ class SmartResourceManager {
         // Clear in-memory caches from other modules
         CacheManager.cache.clear(); // Assuming CacheManager.js is renamed correctly
         AdvancedCacheManager.cache.clear();
-        OptimizedDriverSearch.spatialIndex.clear(); // Clear spatial index
+        OptimizedDriverSearch.clearIndex(); // Clear spatial index
 
         // Trigger Node.js garbage collection (not guaranteed to run immediately)
         if (typeof global !== 'undefined' && global.gc) {
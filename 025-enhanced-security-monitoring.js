@@ -107,8 +107,8 @@ class EnhancedSecurityMonitoring {
         let score = 0;
         const { clientIP } = contextData;
 
-        if (AdvancedSecurityManager.suspiciousIPs.has(clientIP)) { // Assuming path is correct
-            score += 40; // Known suspicious IP from our own system
+        if (AdvancedSecurityManager.isSuspiciousIP(clientIP)) {
+            score += 40; // Recently hit our own per-IP rate limit
         }
         if (await this.isKnownMaliciousIP(clientIP)) {
             score += 60; // IP found in external blacklists
@@ -1,5 +1,5 @@
 // 026-advanced-cache-manager.js (Original: AdvancedCacheManager.js)
-const CacheManager = require('./003-utilities-helpers'); // Assuming CacheManager.js is renamed to 003-utilities-helpers.js and exported from there
+const { CacheManager } = require('./003-utilities-helpers'); // CacheManager is a named export of the utilities module
 const { getDriverNearByData } = require('./003-utilities-helpers'); // For preloadCriticalData (Updated path)
 
 class AdvancedCacheManager extends CacheManager {
@@ -139,7 +139,7 @@ class AutoCleanupService {
         // Clear caches and metrics from other modules that hold in-memory state
         CacheManager.cache.clear(); // Assuming CacheManager.js is renamed correctly
         AdvancedCacheManager.cache.clear();
-        OptimizedDriverSearch.spatialIndex.clear(); // Clear spatial index
+        OptimizedDriverSearch.clearIndex(); // Clear spatial index
 
         console.log('AUTO_CLEANUP: All in-memory caches cleared.');
     }
@@ -315,7 +315,7 @@ class BackgroundJobScheduler {
             timeout: 60000
         });
 
-        this.scheduleJob('demand_prediction_update', () => PredictiveAnalytics.predictOrderDemand('1h'), 'every 15 minutes', { // Updated path
+        this.scheduleJob('demand_prediction_update', () => PredictiveAnalytics.predictOrderDemandForZones('1h'), 'every 15 minutes', { // Updated path
             priority: 'normal',
             maxRetries: 2,
             timeout: 60000
@@ -0,0 +1,264 @@
+// 041-dispatch-round-engine.js
+// Multi-round dispatch: offers an order to the top drivers, widens the search radius on each
+// round that times out or is fully rejected, and gives up after a maximum number of rounds.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { ORDER_STATUS } = require('./002-constants-definition');
+const OrderManagement = require('./007-order-management');
+const DriverOrderRequests = require('./008-driver-order-requests');
+const DriverAssignmentDispatch = require('./010-driver-assignment-dispatch');
+const DriverSortingPrioritization = require('./011-driver-sorting-prioritization');
+const SmartDriverMatching = require('./021-smart-driver-matching');
+const OptimizedDriverSearch = require('./023-optimized-driver-search');
+const OrderBatchingEngine = require('./042-order-batching');
+
+class DispatchRoundEngine {
+    static defaultSettings = {
+        mode: 'offer', // 'offer' (drivers accept/reject) or 'auto_assign' (best driver is assigned directly)
+        driversPerRound: 3,
+        acceptanceWindowSeconds: 60,
+        radiusMultiplier: 1.5,
+        maxRadiusMiles: 30,
+        maxRounds: 4
+    };
+
+    static getSettings(zone) {
+        const settings = { ...this.defaultSettings, ...(zone?.dispatchSettings || {}) };
+        // The zone-level radius cap always wins over round escalation.
+        if (zone?.settings?.maxDispatchRadiusMiles) {
+            settings.maxRadiusMiles = Math.min(settings.maxRadiusMiles, zone.settings.maxDispatchRadiusMiles);
+        }
+        return settings;
+    }
+
+    static async startDispatch(orderId, actor = {}, contextData = {}) {
+        const { orderData, zone, dispatchMetadata } = await DriverAssignmentDispatch.loadOrderForDispatch(orderId);
+        const settings = this.getSettings(zone);
+
+        await this.claimDispatch(orderId, actor, settings);
+
+        // Stacking onto a driver already heading that way beats starting a fresh search.
+        const batched = await OrderBatchingEngine.tryBatchOrder(orderId, orderData, zone, dispatchMetadata, actor);
+        if (batched) return batched;
+
+        if (settings.mode === 'auto_assign') {
+            return DriverAssignmentDispatch.dispatchOrder(orderId, actor, contextData);
+        }
+
+        return this.runRound(orderId, orderData, zone, {
+            ...dispatchMetadata,
+            currentRound: 1,
+            offeredDriverIds: [],
+            rejectedDriverIds: []
+        }, contextData);
+    }
+
+    // Checks the order can be dispatched and marks it as being dispatched in one transaction, so two
+    // concurrent calls cannot both start round 1. The claim is a lease (one acceptance window) that
+    // runRound replaces with the round's own expiry; an auto-assign attempt that finds nobody leaves
+    // the order dispatchable again once it lapses.
+    static async claimDispatch(orderId, actor, settings) {
+        const orderRef = _firestore.collection('restaurant_orders').doc(orderId);
+
+        await _firestore.runTransaction(async (transaction) => {
+            const orderDoc = await transaction.get(orderRef);
+            if (!orderDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Order ${orderId} not found`);
+            }
+            const order = orderDoc.data();
+
+            if (!DriverAssignmentDispatch.dispatchableStatuses.includes(order.status)) {
+                throw new _functions.https.HttpsError('failed-precondition',
+                    `Order ${orderId} cannot be dispatched from status ${order.status}`);
+            }
+            if (order.driverID) {
+                throw new _functions.https.HttpsError('already-exists', `Order ${orderId} already has a driver`);
+            }
+            const claimExpiresAtMs = order.dispatchMetadata?.dispatchClaimExpiresAt?.toMillis?.() || 0;
+            if (order.status === ORDER_STATUS.DRIVER_PENDING &&
+                (order.dispatchMetadata?.roundExpiresAt || claimExpiresAtMs > Date.now())) {
+                throw new _functions.https.HttpsError('already-exists', `Dispatch for order ${orderId} is already running`);
+            }
+
+            const claim = {
+                'dispatchMetadata.dispatchClaimExpiresAt': _admin.firestore.Timestamp.fromMillis(Date.now() + settings.acceptanceWindowSeconds * 1000)
+            };
+            if (order.status === ORDER_STATUS.DRIVER_PENDING) {
+                transaction.update(orderRef, claim);
+            } else {
+                OrderManagement.applyStatusTransition(transaction, orderRef, order, ORDER_STATUS.DRIVER_PENDING,
+                    actor, { reason: 'dispatch_started' }, claim);
+            }
+        });
+    }
+
+    static async runRound(orderId, orderData, zone, dispatchMetadata, contextData = {}) {
+        const settings = this.getSettings(zone);
+        const round = dispatchMetadata.currentRound;
+        const previouslyOffered = new Set(dispatchMetadata.offeredDriverIds || []);
+
+        const availableDrivers = await OptimizedDriverSearch.getAvailableDriversOptimized(orderId, orderData, dispatchMetadata);
+        const scoredDrivers = await SmartDriverMatching.findOptimalDriver(
+            orderData,
+            availableDrivers.filter(driver => !previouslyOffered.has(driver.id)),
+            { ...contextData, zoneId: zone?.id }
+        );
+        const criteria = await DriverSortingPrioritization.getZoneCriteria(zone, orderData);
+        const rankedDrivers = DriverSortingPrioritization.prioritizeDrivers(scoredDrivers, criteria);
+        const roundDrivers = rankedDrivers.slice(0, settings.driversPerRound);
+
+        console.log(`DISPATCH: Order ${orderId} round ${round} (${dispatchMetadata.kDistanceRadiusForDispatchInMiles} mi): offering to ${roundDrivers.length} drivers`);
+
+        // Each offer succeeds or fails on its own, so one deleted driver account does not fail the round.
+        const sent = await Promise.all(roundDrivers.map(async driver => {
+            try {
+                const request = await DriverOrderRequests.sendOrderRequest(orderId, driver.id, {
+                    round,
+                    acceptanceWindowSeconds: settings.acceptanceWindowSeconds,
+                    matchScore: driver.matchScore
+                });
+                await DriverOrderRequests.notifyDriverOfOffer(driver, orderId, orderData, request);
+                return driver;
+            } catch (error) {
+                console.error(`DISPATCH: Failed to offer order ${orderId} to driver ${driver.id}:`, error.message);
+                return null;
+            }
+        }));
+        const offeredDrivers = sent.filter(Boolean);
+
+        // A round with nobody to offer to expires immediately so the sweeper widens the radius.
+        const windowMs = offeredDrivers.length > 0 ? settings.acceptanceWindowSeconds * 1000 : 0;
+        const updatedMetadata = {
+            ...dispatchMetadata,
+            roundDriverIds: offeredDrivers.map(driver => driver.id),
+            roundScores: Object.fromEntries(offeredDrivers.map(driver => [driver.id, {
+                matchScore: driver.matchScore,
+                scoreBreakdown: driver.scoreBreakdown || null
+            }])),
+            offeredDriverIds: [...previouslyOffered, ...offeredDrivers.map(driver => driver.id)],
+            rejectedDriverIds: dispatchMetadata.rejectedDriverIds || [],
+            roundStartedAt: _admin.firestore.Timestamp.now(),
+            roundExpiresAt: _admin.firestore.Timestamp.fromMillis(Date.now() + windowMs)
+        };
+
+        await _firestore.collection('restaurant_orders').doc(orderId).update({ dispatchMetadata: updatedMetadata });
+
+        return {
+            orderId,
+            round,
+            radiusMiles: updatedMetadata.kDistanceRadiusForDispatchInMiles,
+            offeredDriverIds: updatedMetadata.roundDriverIds,
+            roundExpiresAt: updatedMetadata.roundExpiresAt.toDate().toISOString()
+        };
+    }
+
+    // Closes `expectedRound` and starts the next one. The transaction makes sure only one caller
+    // (the sweeper or the last rejection) advances a given round.
+    static async advanceRound(orderId, expectedRound, reason) {
+        const orderRef = _firestore.collection('restaurant_orders').doc(orderId);
+
+        const closed = await _firestore.runTransaction(async (transaction) => {
+            const orderDoc = await transaction.get(orderRef);
+            if (!orderDoc.exists) return null;
+
+            const order = orderDoc.data();
+            const metadata = order.dispatchMetadata || {};
+            if (order.status !== ORDER_STATUS.DRIVER_PENDING || order.driverID ||
+                metadata.currentRound !== expectedRound || !metadata.roundExpiresAt) {
+                return null;
+            }
+
+            transaction.update(orderRef, {
+                'dispatchMetadata.roundExpiresAt': null,
+                'dispatchMetadata.lastRoundClosedReason': reason
+            });
+            return { ...order, id: orderId };
+        });
+
+        if (!closed) return null;
+
+        const metadata = closed.dispatchMetadata;
+        await DriverOrderRequests.withdrawOrderRequest(orderId, metadata.roundDriverIds || []);
+
+        const { orderData, zone } = await DriverAssignmentDispatch.loadOrderForDispatch(orderId);
+        const settings = this.getSettings(zone);
+
+        if (metadata.currentRound >= settings.maxRounds) {
+            await this.markUndeliverable(orderId, metadata, reason);
+            return { orderId, undeliverable: true };
+        }
+
+        const nextRadius = Math.min(
+            metadata.kDistanceRadiusForDispatchInMiles * settings.radiusMultiplier,
+            settings.maxRadiusMiles
+        );
+
+        return this.runRound(orderId, orderData, zone, {
+            ...metadata,
+            currentRound: metadata.currentRound + 1,
+            kDistanceRadiusForDispatchInMiles: Math.round(nextRadius * 10) / 10
+        });
+    }
+
+    static async onDriverRejected(orderId, driverId, reason = null) {
+        await DriverOrderRequests.handleDriverRejection(orderId, driverId, reason);
+
+        const orderDoc = await _firestore.collection('restaurant_orders').doc(orderId).get();
+        if (!orderDoc.exists) return null;
+
+        const metadata = orderDoc.data().dispatchMetadata || {};
+        const rejected = new Set(metadata.rejectedDriverIds || []);
+        const roundDrivers = metadata.roundDriverIds || [];
+
+        if (roundDrivers.length > 0 && roundDrivers.every(id => rejected.has(id))) {
+            return this.advanceRound(orderId, metadata.currentRound, 'all_rejected');
+        }
+        return null;
+    }
+
+    static async processExpiredRounds() {
+        const snapshot = await _firestore.collection('restaurant_orders')
+            .where('status', '==', ORDER_STATUS.DRIVER_PENDING)
+            .where('dispatchMetadata.roundExpiresAt', '<=', _admin.firestore.Timestamp.now())
+            .limit(50)
+            .get();
+
+        const results = await Promise.allSettled(snapshot.docs.map(doc =>
+            this.advanceRound(doc.id, doc.data().dispatchMetadata.currentRound, 'timeout')
+        ));
+
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                console.error(`DISPATCH: Failed to advance round for order ${snapshot.docs[i].id}:`, result.reason);
+            }
+        });
+
+        return snapshot.size;
+    }
+
+    static async markUndeliverable(orderId, dispatchMetadata, reason) {
+        console.warn(`DISPATCH: Order ${orderId} undeliverable after ${dispatchMetadata.currentRound} rounds`);
+
+        const orderRef = _firestore.collection('restaurant_orders').doc(orderId);
+        await _firestore.runTransaction(async (transaction) => {
+            const orderDoc = await transaction.get(orderRef);
+            OrderManagement.applyStatusTransition(transaction, orderRef, orderDoc.data(), ORDER_STATUS.ORDER_FAILED,
+                {}, { reason: 'undeliverable', lastRoundClosedReason: reason }, {
+                    undeliverable: true,
+                    undeliverableAt: _admin.firestore.FieldValue.serverTimestamp()
+                });
+        });
+
+        await _firestore.collection('admin_alerts').add({
+            type: 'order_undeliverable',
+            severity: 'high',
+            orderId,
+            rounds: dispatchMetadata.currentRound,
+            finalRadiusMiles: dispatchMetadata.kDistanceRadiusForDispatchInMiles,
+            offeredDriverCount: (dispatchMetadata.offeredDriverIds || []).length,
+            rejectedDriverCount: (dispatchMetadata.rejectedDriverIds || []).length,
+            timestamp: _admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+}
+
+module.exports = DispatchRoundEngine;
@@ -0,0 +1,190 @@
+// 042-order-batching.js
+// Stacks a new order onto a driver who already holds orders from the same or a nearby vendor,
+// heading in a similar direction, as long as every order in the batch still arrives within its
+// promised delivery window. Batches are handed over through DriverAssignmentDispatch.
+const { _firestore } = require('./001-setup-initialization');
+const { ORDER_STATUS } = require('./002-constants-definition');
+const { distanceRadius } = require('./003-utilities-helpers');
+const DriverAssignmentDispatch = require('./010-driver-assignment-dispatch');
+const RouteSequencer = require('./043-route-sequencer');
+
+class OrderBatchingEngine {
+    // Overridable per zone via `dispatchSettings.batching` (validated by ZoneManagement).
+    static defaultSettings = {
+        enabled: true,
+        maxBatchSize: 2, // Orders a single driver may hold at once
+        maxVendorDistanceMiles: 0.5, // Pickups further apart than this are never batched
+        maxBearingDifferenceDegrees: 45, // Vendor -> customer directions must roughly agree
+        averageSpeedMph: 15,
+        pickupDwellMinutes: 4,
+        dropoffDwellMinutes: 3,
+        defaultPromisedMinutes: 45 // Used when an order has no `promisedDeliveryAt`
+    };
+
+    static getSettings(zone) {
+        return { ...this.defaultSettings, ...(zone?.dispatchSettings?.batching || {}) };
+    }
+
+    // Returns the assignment result when the order was stacked onto a driver, or null when it
+    // should go through normal dispatch. The order must already be in DRIVER_PENDING.
+    static async tryBatchOrder(orderId, orderData, zone, dispatchMetadata = {}, actor = {}) {
+        const settings = this.getSettings(zone);
+        if (!settings.enabled || settings.maxBatchSize < 2 || !zone?.id) return null;
+
+        const newOrder = this.toBatchOrder({ ...orderData, id: orderId }, settings);
+        if (!newOrder) return null;
+
+        const candidates = await this.findBatchCandidates(newOrder, zone, settings);
+
+        for (const candidate of candidates) {
+            const batch = {
+                batchId: candidate.batchId,
+                orderIds: candidate.orderIds,
+                maxBatchSize: settings.maxBatchSize
+            };
+            const assigned = await DriverAssignmentDispatch.assignDriverToOrder(orderId, candidate.driverId, actor,
+                { ...dispatchMetadata, batch }, {
+                    reason: 'batched',
+                    batchId: candidate.batchId,
+                    routeMinutes: candidate.route.totalMinutes
+                });
+            if (!assigned) continue;
+
+            console.log(`BATCHING: Order ${orderId} stacked onto driver ${candidate.driverId} (batch ${candidate.batchId})`);
+            await DriverAssignmentDispatch.notifyDriverOfAssignment(assigned.driver, orderId, orderData);
+            // Stores the stop order and ETAs on the driver and the batched orders.
+            await RouteSequencer.sequenceDriverRoute(candidate.driverId, { averageSpeedMph: settings.averageSpeedMph })
+                .catch(error => console.error(`BATCHING: Failed to store route for driver ${candidate.driverId}:`, error.message));
+
+            return {
+                orderId,
+                driverId: candidate.driverId,
+                batchId: candidate.batchId,
+                batchOrderIds: [...candidate.orderIds, orderId],
+                zoneId: zone.id,
+                route: candidate.route.stops.map(stop => ({
+                    orderId: stop.orderId,
+                    type: stop.type,
+                    eta: new Date(stop.etaMs).toISOString()
+                })),
+                dispatchMetadata: { ...dispatchMetadata, batch }
+            };
+        }
+
+        return null;
+    }
+
+    // Drivers in the zone holding assigned, not yet picked up orders that the new order fits with,
+    // cheapest resulting route first.
+    static async findBatchCandidates(newOrder, zone, settings) {
+        const snapshot = await _firestore.collection('restaurant_orders')
+            .where('zoneId', '==', zone.id)
+            .where('status', '==', ORDER_STATUS.DRIVER_ASSIGNED)
+            .get();
+
+        const ordersByDriver = new Map();
+        snapshot.docs.forEach(doc => {
+            const order = { id: doc.id, ...doc.data() };
+            if (!order.driverID) return;
+            if (!ordersByDriver.has(order.driverID)) ordersByDriver.set(order.driverID, []);
+            ordersByDriver.get(order.driverID).push(order);
+        });
+
+        const candidates = [];
+        for (const [driverId, orders] of ordersByDriver) {
+            if (orders.length >= settings.maxBatchSize) continue;
+
+            const batchOrders = orders.map(order => this.toBatchOrder(order, settings));
+            if (batchOrders.some(order => !order)) continue;
+            if (!batchOrders.every(order => this.isCompatible(order, newOrder, settings))) continue;
+
+            const driverDoc = await _firestore.collection('users').doc(driverId).get();
+            if (!driverDoc.exists) continue;
+            const driver = driverDoc.data();
+            if (!driver.location?.latitude || !driver.location?.longitude) continue;
+
+            // Orders already picked up are not in this query; a driver carrying any is skipped.
+            const orderIds = orders.map(order => order.id);
+            if ((driver.inProgressOrderID || []).some(id => !orderIds.includes(id))) continue;
+
+            const route = await this.planRoute(driver.location, [...batchOrders, newOrder], settings);
+            if (!route.feasible) continue;
+
+            candidates.push({
+                driverId,
+                orderIds,
+                batchId: orders.find(order => order.batchId)?.batchId || `batch_${orderIds[0]}`,
+                route
+            });
+        }
+
+        return candidates.sort((a, b) => a.route.totalMinutes - b.route.totalMinutes);
+    }
+
+    // Normalizes an order into pickup/drop-off points and a delivery deadline. Orders without a
+    // drop-off location cannot be batched.
+    static toBatchOrder(order, settings = this.defaultSettings) {
+        const pickup = order.vendor;
+        const dropoff = order.address?.location;
+        if (typeof pickup?.latitude !== 'number' || typeof dropoff?.latitude !== 'number') return null;
+
+        const createdAtMs = this.toMillis(order.createdAt) || Date.now();
+        return {
+            id: order.id,
+            pickup: { latitude: pickup.latitude, longitude: pickup.longitude },
+            dropoff: { latitude: dropoff.latitude, longitude: dropoff.longitude },
+            promisedByMs: this.toMillis(order.promisedDeliveryAt) || createdAtMs + settings.defaultPromisedMinutes * 60 * 1000
+        };
+    }
+
+    static isCompatible(existing, candidate, settings) {
+        const vendorDistance = distanceRadius(
+            existing.pickup.latitude, existing.pickup.longitude,
+            candidate.pickup.latitude, candidate.pickup.longitude
+        );
+        if (vendorDistance > settings.maxVendorDistanceMiles) return false;
+
+        const difference = Math.abs(this.bearing(existing.pickup, existing.dropoff) - this.bearing(candidate.pickup, candidate.dropoff));
+        return Math.min(difference, 360 - difference) <= settings.maxBearingDifferenceDegrees;
+    }
+
+    // Sequences all pickups and drop-offs of the prospective batch. Feasible when every stop can be
+    // routed and every drop-off lands before its order's promised time.
+    static async planRoute(origin, orders, settings, startMs = Date.now()) {
+        const stops = orders.flatMap(order => [
+            { orderId: order.id, type: 'pickup', location: order.pickup, dwellMinutes: settings.pickupDwellMinutes },
+            { orderId: order.id, type: 'dropoff', location: order.dropoff, dwellMinutes: settings.dropoffDwellMinutes }
+        ]);
+        const plan = await RouteSequencer.sequenceStops(origin, stops, { startMs, averageSpeedMph: settings.averageSpeedMph });
+
+        const promisedBy = new Map(orders.map(order => [order.id, order.promisedByMs]));
+        const lateOrderIds = plan.stops
+            .filter(stop => stop.type === 'dropoff' && stop.etaMs > promisedBy.get(stop.orderId))
+            .map(stop => stop.orderId);
+
+        return {
+            stops: plan.stops,
+            totalMinutes: plan.totalMinutes,
+            feasible: plan.routable && lateOrderIds.length === 0,
+            lateOrderIds,
+            unroutableOrderIds: plan.unroutableOrderIds
+        };
+    }
+
+    // Initial compass bearing from `from` to `to`, in degrees [0, 360).
+    static bearing(from, to) {
+        const toRad = degrees => degrees * Math.PI / 180;
+        const dLon = toRad(to.longitude - from.longitude);
+        const y = Math.sin(dLon) * Math.cos(toRad(to.latitude));
+        const x = Math.cos(toRad(from.latitude)) * Math.sin(toRad(to.latitude)) -
+            Math.sin(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.cos(dLon);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    static toMillis(value) {
+        if (!value) return 0;
+        return value.toMillis ? value.toMillis() : new Date(value).getTime();
+    }
+}
+
+module.exports = OrderBatchingEngine;
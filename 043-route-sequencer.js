@@ -0,0 +1,271 @@
+// 043-route-sequencer.js
+// Orders the pickup and drop-off stops of a driver holding several orders (pickup of an order
+// always before its drop-off) and computes per-stop ETAs for dispatch and customer notifications.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { ORDER_STATUS, DRIVER_ACTIVE_ORDER_STATUSES } = require('./002-constants-definition');
+const DistanceEtaProvider = require('./044-distance-eta-provider');
+
+class RouteSequencer {
+    // Any object with `async getTravelMinutes(points, options)` returning an NxN minutes matrix.
+    static distanceMatrixProvider = DistanceEtaProvider;
+    static exactSearchLimit = 8; // Up to this many stops the optimal order is searched exhaustively
+    static maxImprovementPasses = 50;
+    static defaultDwellMinutes = { pickup: 4, dropoff: 3 };
+
+    static setDistanceMatrixProvider(provider) {
+        if (typeof provider?.getTravelMinutes !== 'function') {
+            throw new Error('Distance matrix provider must implement getTravelMinutes(points, options)');
+        }
+        this.distanceMatrixProvider = provider;
+    }
+
+    // `stops`: [{ orderId, type: 'pickup' | 'dropoff', location: { latitude, longitude },
+    // dwellMinutes?, notBeforeMs? }]. A drop-off whose order has no pickup stop is treated as
+    // already picked up. When the provider finds no route for a leg, `routable` is false and the
+    // stops from that leg on have no ETA (see buildPlan).
+    static async sequenceStops(origin, stops, options = {}) {
+        const startMs = options.startMs || Date.now();
+        if (stops.length === 0) {
+            return { stops: [], totalMinutes: 0, routable: true, unroutableOrderIds: [] };
+        }
+
+        stops.forEach(stop => {
+            if (!['pickup', 'dropoff'].includes(stop.type) || typeof stop.location?.latitude !== 'number') {
+                throw new _functions.https.HttpsError('invalid-argument', `Invalid route stop for order ${stop.orderId}`);
+            }
+        });
+
+        const matrix = await this.distanceMatrixProvider.getTravelMinutes(
+            [origin, ...stops.map(stop => stop.location)], options);
+
+        // Matrix index 0 is the origin; stop i lives at index i + 1.
+        const pickupIndex = new Map();
+        stops.forEach((stop, i) => {
+            if (stop.type === 'pickup') pickupIndex.set(stop.orderId, i);
+        });
+        const context = { stops, matrix, pickupIndex, startMs, options };
+
+        // The exact search finds nothing when every order includes an unroutable leg.
+        const order = stops.length <= this.exactSearchLimit ?
+            this.searchExact(context) || this.buildGreedy(context) :
+            this.improveByRelocation(context, this.buildGreedy(context));
+
+        return this.buildPlan(context, order);
+    }
+
+    static isAllowedNext(context, visited, stopIndex) {
+        const stop = context.stops[stopIndex];
+        if (stop.type !== 'dropoff') return true;
+        const pickup = context.pickupIndex.get(stop.orderId);
+        return pickup === undefined || visited.has(pickup);
+    }
+
+    static isValidOrder(context, order) {
+        const visited = new Set();
+        for (const stopIndex of order) {
+            if (!this.isAllowedNext(context, visited, stopIndex)) return false;
+            visited.add(stopIndex);
+        }
+        return true;
+    }
+
+    // Clock after visiting `stopIndex` from matrix position `fromPosition` at `clockMs`.
+    static advanceClock(context, fromPosition, stopIndex, clockMs) {
+        const stop = context.stops[stopIndex];
+        const arrivalMs = clockMs + context.matrix[fromPosition][stopIndex + 1] * 60000;
+        const serviceStartMs = Math.max(arrivalMs, stop.notBeforeMs || 0);
+        const dwell = stop.dwellMinutes ?? this.defaultDwellMinutes[stop.type];
+        return { arrivalMs: serviceStartMs, departureMs: serviceStartMs + dwell * 60000 };
+    }
+
+    static routeDuration(context, order) {
+        let position = 0;
+        let clockMs = context.startMs;
+        order.forEach(stopIndex => {
+            clockMs = this.advanceClock(context, position, stopIndex, clockMs).departureMs;
+            position = stopIndex + 1;
+        });
+        return clockMs - context.startMs;
+    }
+
+    // Depth-first branch and bound over all precedence-respecting orders.
+    static searchExact(context) {
+        let best = { duration: Infinity, order: null };
+        const visited = new Set();
+        const path = [];
+
+        const explore = (position, clockMs) => {
+            if (clockMs - context.startMs >= best.duration) return;
+            if (path.length === context.stops.length) {
+                best = { duration: clockMs - context.startMs, order: [...path] };
+                return;
+            }
+            for (let i = 0; i < context.stops.length; i++) {
+                if (visited.has(i) || !this.isAllowedNext(context, visited, i)) continue;
+                visited.add(i);
+                path.push(i);
+                explore(i + 1, this.advanceClock(context, position, i, clockMs).departureMs);
+                path.pop();
+                visited.delete(i);
+            }
+        };
+
+        explore(0, context.startMs);
+        return best.order;
+    }
+
+    // Nearest feasible stop next.
+    static buildGreedy(context) {
+        const visited = new Set();
+        const order = [];
+        let position = 0;
+
+        while (order.length < context.stops.length) {
+            let next = -1;
+            context.stops.forEach((stop, i) => {
+                if (visited.has(i) || !this.isAllowedNext(context, visited, i)) return;
+                if (next === -1 || context.matrix[position][i + 1] < context.matrix[position][next + 1]) next = i;
+            });
+            visited.add(next);
+            order.push(next);
+            position = next + 1;
+        }
+        return order;
+    }
+
+    // Moves single stops to other positions while that shortens the route.
+    static improveByRelocation(context, initialOrder) {
+        let order = initialOrder;
+        let duration = this.routeDuration(context, order);
+
+        for (let pass = 0; pass < this.maxImprovementPasses; pass++) {
+            let improved = false;
+            for (let from = 0; from < order.length; from++) {
+                for (let to = 0; to < order.length; to++) {
+                    if (from === to) continue;
+                    const candidate = [...order];
+                    const [moved] = candidate.splice(from, 1);
+                    candidate.splice(to, 0, moved);
+                    if (!this.isValidOrder(context, candidate)) continue;
+
+                    const candidateDuration = this.routeDuration(context, candidate);
+                    if (candidateDuration < duration) {
+                        order = candidate;
+                        duration = candidateDuration;
+                        improved = true;
+                    }
+                }
+            }
+            if (!improved) break;
+        }
+        return order;
+    }
+
+    // Unroutable legs (infinite travel time) leave the clock infinite, so every stop from there on
+    // gets null ETAs and its order is listed in `unroutableOrderIds`.
+    static buildPlan(context, order) {
+        let position = 0;
+        let clockMs = context.startMs;
+        const unroutableOrderIds = new Set();
+
+        const plannedStops = order.map((stopIndex, sequence) => {
+            const { arrivalMs, departureMs } = this.advanceClock(context, position, stopIndex, clockMs);
+            const travelMinutes = context.matrix[position][stopIndex + 1];
+            const reachable = Number.isFinite(arrivalMs);
+            clockMs = departureMs;
+            position = stopIndex + 1;
+            if (!reachable) unroutableOrderIds.add(context.stops[stopIndex].orderId);
+            return {
+                ...context.stops[stopIndex],
+                sequence,
+                travelMinutes: Number.isFinite(travelMinutes) ? Math.round(travelMinutes * 10) / 10 : null,
+                etaMs: reachable ? arrivalMs : null,
+                eta: reachable ? new Date(arrivalMs).toISOString() : null,
+                departureMs: reachable ? departureMs : null
+            };
+        });
+
+        return {
+            stops: plannedStops,
+            totalMinutes: Number.isFinite(clockMs) ? Math.round((clockMs - context.startMs) / 60000) : null,
+            routable: unroutableOrderIds.size === 0,
+            unroutableOrderIds: [...unroutableOrderIds]
+        };
+    }
+
+    // Plans the route for everything the driver currently holds and stores the stop ETAs on the
+    // driver (`routePlan`) and on each order (`pickupEta` / `dropoffEta`). Stops without a route get
+    // no ETA, and any earlier ETA of theirs is removed.
+    static async sequenceDriverRoute(driverId, options = {}) {
+        const driverDoc = await _firestore.collection('users').doc(driverId).get();
+        if (!driverDoc.exists) {
+            throw new _functions.https.HttpsError('not-found', `Driver ${driverId} not found`);
+        }
+        const driver = driverDoc.data();
+        if (typeof driver.location?.latitude !== 'number') {
+            throw new _functions.https.HttpsError('failed-precondition', `Driver ${driverId} has no known location`);
+        }
+
+        const orderIds = driver.inProgressOrderID || [];
+        const orderDocs = await Promise.all(orderIds.map(id => _firestore.collection('restaurant_orders').doc(id).get()));
+        // Stale `inProgressOrderID` entries (finished or reassigned orders) get no stops and no ETAs.
+        const activeOrders = orderDocs
+            .filter(doc => doc.exists && doc.data().driverID === driverId && DRIVER_ACTIVE_ORDER_STATUSES.includes(doc.data().status))
+            .map(doc => ({ id: doc.id, ...doc.data() }));
+        const stops = this.buildStopsForOrders(activeOrders);
+
+        const plan = await this.sequenceStops(driver.location, stops, { vehicleType: driver.vehicleType, ...options });
+
+        const batch = _firestore.batch();
+        batch.update(driverDoc.ref, {
+            routePlan: {
+                stops: plan.stops.map(stop => ({
+                    orderId: stop.orderId,
+                    type: stop.type,
+                    sequence: stop.sequence,
+                    eta: stop.etaMs === null ? null : _admin.firestore.Timestamp.fromMillis(stop.etaMs)
+                })),
+                totalMinutes: plan.totalMinutes,
+                unroutableOrderIds: plan.unroutableOrderIds,
+                plannedAt: _admin.firestore.FieldValue.serverTimestamp()
+            }
+        });
+        plan.stops.forEach(stop => {
+            batch.update(_firestore.collection('restaurant_orders').doc(stop.orderId), {
+                [stop.type === 'pickup' ? 'pickupEta' : 'dropoffEta']: stop.etaMs === null ?
+                    _admin.firestore.FieldValue.delete() : _admin.firestore.Timestamp.fromMillis(stop.etaMs)
+            });
+        });
+        await batch.commit();
+
+        return { driverId, ...plan };
+    }
+
+    // Orders not yet picked up contribute a pickup and a drop-off; the rest only a drop-off.
+    static buildStopsForOrders(orders) {
+        const stops = [];
+        orders.forEach(order => {
+            const dropoff = order.address?.location;
+            if (typeof dropoff?.latitude !== 'number') {
+                console.warn(`ROUTE: Order ${order.id} has no drop-off location, skipping`);
+                return;
+            }
+            const awaitingPickup = [ORDER_STATUS.DRIVER_ASSIGNED, ORDER_STATUS.DRIVER_PENDING].includes(order.status);
+            if (awaitingPickup && typeof order.vendor?.latitude === 'number') {
+                stops.push({
+                    orderId: order.id,
+                    type: 'pickup',
+                    location: { latitude: order.vendor.latitude, longitude: order.vendor.longitude }
+                });
+            }
+            stops.push({
+                orderId: order.id,
+                type: 'dropoff',
+                location: { latitude: dropoff.latitude, longitude: dropoff.longitude }
+            });
+        });
+        return stops;
+    }
+}
+
+module.exports = RouteSequencer;
@@ -0,0 +1,289 @@
+// 044-distance-eta-provider.js
+// Road distance and travel time between points. Haversine (great-circle at vehicle speed) is the
+// default; an OSRM-compatible HTTP routing server can be enabled with OSRM_BASE_URL or configure().
+// Results are cached per grid-cell pair, so nearby origins/destinations share one lookup.
+const { distanceRadius } = require('./003-utilities-helpers');
+
+const METERS_PER_MILE = 1609.344;
+
+// Providers return the matrix from `sources` to `destinations` (indexes into `points`, all points
+// when omitted).
+const allIndexes = points => points.map((_, i) => i);
+
+// Straight-line distance travelled at the vehicle's average speed.
+const haversineProvider = {
+    name: 'haversine',
+    async getMatrix(points, { speedMph, sources = allIndexes(points), destinations = allIndexes(points) }) {
+        const distanceMiles = sources.map(i => destinations.map(j =>
+            distanceRadius(points[i].latitude, points[i].longitude, points[j].latitude, points[j].longitude)));
+        return {
+            distanceMiles,
+            durationMinutes: distanceMiles.map(row => row.map(miles => (miles / speedMph) * 60))
+        };
+    }
+};
+
+// Adapter for the OSRM `table` service (https://project-osrm.org/docs/v5.24.0/api/#table-service).
+// Any server speaking the same API (including a local stub) works.
+function createOsrmProvider({ baseUrl, profiles = {}, timeoutMs = 3000, fetchImpl = globalThis.fetch }) {
+    if (!baseUrl) {
+        throw new Error('OSRM provider requires a baseUrl');
+    }
+    const profileFor = vehicleType => profiles[vehicleType] || (vehicleType === 'bike' ? 'cycling' : 'driving');
+
+    return {
+        name: 'osrm',
+        async getMatrix(points, { vehicleType, sources, destinations }) {
+            const coordinates = points.map(point => `${point.longitude},${point.latitude}`).join(';');
+            const selection = (sources ? `&sources=${sources.join(';')}` : '') +
+                (destinations ? `&destinations=${destinations.join(';')}` : '');
+            const url = `${baseUrl.replace(/\/$/, '')}/table/v1/${profileFor(vehicleType)}/${coordinates}?annotations=duration,distance${selection}`;
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetchImpl(url, { signal: controller.signal });
+                if (!response.ok) {
+                    throw new Error(`OSRM responded with HTTP ${response.status}`);
+                }
+                const body = await response.json();
+                if (body.code !== 'Ok' || !Array.isArray(body.durations)) {
+                    throw new Error(`OSRM table request failed: ${body.code || 'malformed response'}`);
+                }
+                // Older servers ignore `annotations=distance`; great-circle miles stand in for them.
+                const distances = body.distances || (sources || allIndexes(points)).map(i => (destinations || allIndexes(points)).map(j =>
+                    distanceRadius(points[i].latitude, points[i].longitude, points[j].latitude, points[j].longitude) * METERS_PER_MILE));
+                return {
+                    // OSRM returns null for unroutable pairs.
+                    distanceMiles: distances.map(row => row.map(meters => meters === null ? Infinity : meters / METERS_PER_MILE)),
+                    durationMinutes: body.durations.map(row => row.map(seconds => seconds === null ? Infinity : seconds / 60))
+                };
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+class DistanceEtaProvider {
+    static providers = new Map([['haversine', haversineProvider]]);
+    static activeProvider = 'haversine';
+
+    // Average speeds; with OSRM they rescale the routed duration when the profile is shared
+    // (a scooter routed on the `driving` profile is slower than a car).
+    static vehicleSpeedsMph = { bike: 10, scooter: 18, car: 22 };
+    static defaultVehicleType = 'car';
+
+    static cellSizeDegrees = 0.005; // Roughly 550 m; pairs of cells share a cached travel time
+    static cacheTtlMs = 15 * 60 * 1000;
+    static maxCacheEntries = 20000;
+    static maxTableSize = 100; // Coordinates per provider request (OSRM's default --max-table-size)
+    static travelTimeCache = new Map(); // Map<key, { distanceMiles, durationMinutes, storedAt }>
+    static stats = { hits: 0, misses: 0, providerErrors: 0 };
+
+    static registerProvider(name, provider) {
+        if (typeof provider?.getMatrix !== 'function') {
+            throw new Error(`Distance provider ${name} must implement getMatrix(points, options)`);
+        }
+        this.providers.set(name, { name, ...provider });
+    }
+
+    static configure({ provider, osrm, vehicleSpeedsMph } = {}) {
+        if (osrm) {
+            this.registerProvider('osrm', createOsrmProvider(osrm));
+        }
+        if (vehicleSpeedsMph) {
+            this.vehicleSpeedsMph = { ...this.vehicleSpeedsMph, ...vehicleSpeedsMph };
+        }
+        if (provider) {
+            if (!this.providers.has(provider)) {
+                throw new Error(`Unknown distance provider: ${provider}`);
+            }
+            this.activeProvider = provider;
+        }
+        this.clearCache();
+    }
+
+    static resolveVehicleType(vehicleType) {
+        const normalized = typeof vehicleType === 'string' ? vehicleType.toLowerCase() : null;
+        return this.vehicleSpeedsMph[normalized] ? normalized : this.defaultVehicleType;
+    }
+
+    static getCellKey(point) {
+        return `${Math.floor(point.latitude / this.cellSizeDegrees)}:${Math.floor(point.longitude / this.cellSizeDegrees)}`;
+    }
+
+    static getCacheKey(from, to, vehicleType, speedMph) {
+        return `${this.activeProvider}|${vehicleType}@${speedMph}|${this.getCellKey(from)}|${this.getCellKey(to)}`;
+    }
+
+    static readCache(key) {
+        const entry = this.travelTimeCache.get(key);
+        if (!entry) return null;
+        if (Date.now() - entry.storedAt > this.cacheTtlMs) {
+            this.travelTimeCache.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    static writeCache(key, distanceMiles, durationMinutes) {
+        // Map iteration order is insertion order, so the first key is the oldest entry.
+        if (this.travelTimeCache.size >= this.maxCacheEntries) {
+            this.travelTimeCache.delete(this.travelTimeCache.keys().next().value);
+        }
+        this.travelTimeCache.set(key, { distanceMiles, durationMinutes, storedAt: Date.now() });
+    }
+
+    static clearCache() {
+        this.travelTimeCache.clear();
+    }
+
+    // NxN { distanceMiles, durationMinutes } between `points`. Same-cell pairs are served from the
+    // cache; any miss sends the whole matrix to the provider (one request instead of N^2).
+    // Falls back to Haversine when the active provider fails.
+    static async getMatrix(points, options = {}) {
+        const vehicleType = this.resolveVehicleType(options.vehicleType);
+        const speedMph = options.averageSpeedMph || this.vehicleSpeedsMph[vehicleType];
+        const size = points.length;
+        const distanceMiles = points.map(() => new Array(size).fill(0));
+        const durationMinutes = points.map(() => new Array(size).fill(0));
+
+        let missing = false;
+        for (let i = 0; i < size && !missing; i++) {
+            for (let j = 0; j < size; j++) {
+                if (i === j) continue;
+                const cached = this.readCache(this.getCacheKey(points[i], points[j], vehicleType, speedMph));
+                if (!cached) {
+                    missing = true;
+                    break;
+                }
+                distanceMiles[i][j] = cached.distanceMiles;
+                durationMinutes[i][j] = cached.durationMinutes;
+            }
+        }
+
+        if (!missing) {
+            this.stats.hits++;
+            return { distanceMiles, durationMinutes, provider: 'cache' };
+        }
+        this.stats.misses++;
+
+        const fetched = await this.fetchMatrix(points, vehicleType, speedMph);
+        // Fallback results are not cached so the routing server is retried on the next call.
+        if (fetched.provider !== this.activeProvider) return fetched;
+
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                if (i !== j && Number.isFinite(fetched.durationMinutes[i][j])) {
+                    this.writeCache(this.getCacheKey(points[i], points[j], vehicleType, speedMph),
+                        fetched.distanceMiles[i][j], fetched.durationMinutes[i][j]);
+                }
+            }
+        }
+        return fetched;
+    }
+
+    // `selection`: { sources, destinations } index lists for a partial matrix.
+    static async fetchMatrix(points, vehicleType, speedMph, selection = {}) {
+        const provider = this.providers.get(this.activeProvider);
+
+        try {
+            const matrix = await provider.getMatrix(points, { vehicleType, speedMph, ...selection });
+            return { ...this.applyVehicleSpeed(matrix, provider, vehicleType, speedMph), provider: provider.name };
+        } catch (error) {
+            this.stats.providerErrors++;
+            console.error(`DistanceEtaProvider: ${provider.name} failed, falling back to haversine:`, error.message);
+            const matrix = await haversineProvider.getMatrix(points, { speedMph, ...selection });
+            return { ...matrix, provider: 'haversine' };
+        }
+    }
+
+    // Routing profiles are shared between vehicle types (scooters use `driving`), so the routed
+    // duration is rescaled to the requested vehicle's speed. Missing distances use great-circle miles.
+    static applyVehicleSpeed(matrix, provider, vehicleType, speedMph) {
+        if (provider.name === 'haversine') return matrix;
+
+        const profileVehicle = vehicleType === 'bike' ? 'bike' : 'car';
+        const factor = this.vehicleSpeedsMph[profileVehicle] / speedMph;
+        return {
+            distanceMiles: matrix.distanceMiles,
+            durationMinutes: matrix.durationMinutes.map(row => row.map(minutes => minutes * factor))
+        };
+    }
+
+    static async getRoute(from, to, options = {}) {
+        const matrix = await this.getMatrix([from, to], options);
+        return {
+            distanceMiles: matrix.distanceMiles[0][1],
+            durationMinutes: matrix.durationMinutes[0][1],
+            provider: matrix.provider
+        };
+    }
+
+    // { distanceMiles, durationMinutes } from each of `origins` to `destination`, in order. Only that
+    // one column is requested, for the origins not cached, in chunks of at most maxTableSize points.
+    static async getRoutesTo(origins, destination, options = {}) {
+        const vehicleType = this.resolveVehicleType(options.vehicleType);
+        const speedMph = options.averageSpeedMph || this.vehicleSpeedsMph[vehicleType];
+        const routes = origins.map(origin => this.readCache(this.getCacheKey(origin, destination, vehicleType, speedMph)));
+        const missing = routes.map((route, i) => route ? -1 : i).filter(i => i >= 0);
+        if (missing.length === 0) this.stats.hits++;
+        else this.stats.misses++;
+
+        const chunkSize = this.maxTableSize - 1; // The destination takes one coordinate
+        for (let start = 0; start < missing.length; start += chunkSize) {
+            const chunk = missing.slice(start, start + chunkSize);
+            const fetched = await this.fetchMatrix([destination, ...chunk.map(i => origins[i])], vehicleType, speedMph, {
+                sources: chunk.map((_, k) => k + 1),
+                destinations: [0]
+            });
+            chunk.forEach((originIndex, k) => {
+                const route = { distanceMiles: fetched.distanceMiles[k][0], durationMinutes: fetched.durationMinutes[k][0] };
+                routes[originIndex] = route;
+                if (fetched.provider === this.activeProvider && Number.isFinite(route.durationMinutes)) {
+                    this.writeCache(this.getCacheKey(origins[originIndex], destination, vehicleType, speedMph),
+                        route.distanceMiles, route.durationMinutes);
+                }
+            });
+        }
+        return routes.map(({ distanceMiles, durationMinutes }) => ({ distanceMiles, durationMinutes }));
+    }
+
+    // Road distance/ETA from each driver to `destination`, keyed by driver id. One column request
+    // per vehicle type (see getRoutesTo).
+    static async getDriverRoutes(drivers, destination) {
+        const byVehicle = new Map();
+        drivers.filter(driver => typeof driver.location?.latitude === 'number').forEach(driver => {
+            const vehicleType = this.resolveVehicleType(driver.vehicleType);
+            if (!byVehicle.has(vehicleType)) byVehicle.set(vehicleType, []);
+            byVehicle.get(vehicleType).push(driver);
+        });
+
+        const routes = new Map();
+        for (const [vehicleType, group] of byVehicle) {
+            const groupRoutes = await this.getRoutesTo(group.map(driver => driver.location), destination, { vehicleType });
+            group.forEach((driver, i) => routes.set(driver.id, groupRoutes[i]));
+        }
+        return routes;
+    }
+
+    // RouteSequencer matrix provider interface.
+    static async getTravelMinutes(points, options = {}) {
+        return (await this.getMatrix(points, options)).durationMinutes;
+    }
+
+    static getStatistics() {
+        return {
+            provider: this.activeProvider,
+            cacheEntries: this.travelTimeCache.size,
+            ...this.stats
+        };
+    }
+}
+
+if (process.env.OSRM_BASE_URL) {
+    DistanceEtaProvider.configure({ provider: 'osrm', osrm: { baseUrl: process.env.OSRM_BASE_URL } });
+}
+
+module.exports = DistanceEtaProvider;
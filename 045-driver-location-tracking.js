@@ -0,0 +1,173 @@
+// 045-driver-location-tracking.js
+// Ingests driver GPS pings: validates them, rejects physically implausible jumps, stores the
+// latest position with its geohash on the driver's `users` document, moves the driver in the
+// in-memory spatial index and hands the ping to the location history.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { distanceRadius, encodeGeohash } = require('./003-utilities-helpers');
+const OptimizedDriverSearch = require('./023-optimized-driver-search');
+const DriverLocationHistory = require('./046-driver-location-history');
+const SecurityLogger = require('./017-security-logger');
+
+class DriverLocationTracking {
+    static geohashPrecision = 9; // ~5 m cells; range queries use shorter prefixes
+
+    static plausibility = {
+        maxSpeedMph: { bike: 35, scooter: 60, car: 100 },
+        defaultMaxSpeedMph: 100,
+        jitterToleranceMiles: 0.05, // GPS noise below ~80 m is never treated as a jump
+        maxAccuracyMeters: 250,
+        maxClockSkewSeconds: 60,
+        // After this many rejections in a row the ping is accepted as the new anchor, so a single
+        // bad fix cannot lock the driver out of location updates.
+        maxConsecutiveRejections: 5
+    };
+
+    // Normalizes a ping: { latitude, longitude, recordedAt?, accuracy?, heading?, speed? }.
+    // `recordedAt` is the device fix time in ms (or ISO string); it defaults to now.
+    static validatePing(ping = {}) {
+        const latitude = Number(ping.latitude);
+        const longitude = Number(ping.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+            latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            throw new _functions.https.HttpsError('invalid-argument', 'latitude/longitude are missing or out of range');
+        }
+
+        const recordedAtMs = ping.recordedAt ? new Date(ping.recordedAt).getTime() : Date.now();
+        if (!Number.isFinite(recordedAtMs)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'recordedAt is not a valid time');
+        }
+        if (recordedAtMs > Date.now() + this.plausibility.maxClockSkewSeconds * 1000) {
+            throw new _functions.https.HttpsError('invalid-argument', 'recordedAt is in the future');
+        }
+
+        const accuracyMeters = ping.accuracy === undefined ? null : Number(ping.accuracy);
+        if (accuracyMeters !== null && !(accuracyMeters >= 0)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'accuracy must be a non-negative number');
+        }
+
+        return {
+            latitude,
+            longitude,
+            recordedAtMs,
+            accuracyMeters,
+            heading: Number.isFinite(Number(ping.heading)) ? Number(ping.heading) : null,
+            speedMps: Number.isFinite(Number(ping.speed)) ? Number(ping.speed) : null
+        };
+    }
+
+    // Compares the ping with the last accepted position.
+    static checkPlausibility(previous, ping, vehicleType) {
+        if (ping.accuracyMeters !== null && ping.accuracyMeters > this.plausibility.maxAccuracyMeters) {
+            return { plausible: false, reason: 'low_accuracy' };
+        }
+        if (!previous) {
+            return { plausible: true };
+        }
+        if (ping.recordedAtMs <= previous.recordedAtMs) {
+            return { plausible: false, reason: 'stale' };
+        }
+
+        const distanceMiles = distanceRadius(previous.latitude, previous.longitude, ping.latitude, ping.longitude);
+        if (distanceMiles <= this.plausibility.jitterToleranceMiles) {
+            return { plausible: true, distanceMiles };
+        }
+
+        const elapsedHours = (ping.recordedAtMs - previous.recordedAtMs) / (60 * 60 * 1000);
+        const impliedSpeedMph = distanceMiles / elapsedHours;
+        const maxSpeedMph = this.plausibility.maxSpeedMph[vehicleType] || this.plausibility.defaultMaxSpeedMph;
+
+        if (impliedSpeedMph > maxSpeedMph) {
+            return {
+                plausible: false,
+                reason: 'implausible_speed',
+                distanceMiles: Math.round(distanceMiles * 1000) / 1000,
+                impliedSpeedMph: Math.round(impliedSpeedMph)
+            };
+        }
+        return { plausible: true, distanceMiles };
+    }
+
+    static async updateLocation(driverId, rawPing) {
+        const ping = this.validatePing(rawPing);
+        const driverRef = _firestore.collection('users').doc(driverId);
+
+        const result = await _firestore.runTransaction(async (transaction) => {
+            const driverDoc = await transaction.get(driverRef);
+            if (!driverDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Driver ${driverId} not found`);
+            }
+            const driver = driverDoc.data();
+            if (driver.role !== 'driver') {
+                throw new _functions.https.HttpsError('permission-denied', 'Only drivers can report locations');
+            }
+
+            const previous = driver.location && driver.locationRecordedAt ? {
+                latitude: driver.location.latitude,
+                longitude: driver.location.longitude,
+                recordedAtMs: driver.locationRecordedAt.toMillis()
+            } : null;
+
+            const check = this.checkPlausibility(previous, ping, driver.vehicleType);
+            const rejections = (driver.locationRejections || 0) + 1;
+
+            // Stale pings arrive out of order and are dropped without counting against the driver.
+            if (!check.plausible && (check.reason === 'stale' || check.reason === 'low_accuracy')) {
+                return { accepted: false, reason: check.reason };
+            }
+            if (!check.plausible && rejections < this.plausibility.maxConsecutiveRejections) {
+                transaction.update(driverRef, { locationRejections: rejections });
+                return { accepted: false, reason: check.reason, check };
+            }
+
+            const update = {
+                location: { latitude: ping.latitude, longitude: ping.longitude },
+                geohash: encodeGeohash(ping.latitude, ping.longitude, this.geohashPrecision),
+                locationRecordedAt: _admin.firestore.Timestamp.fromMillis(ping.recordedAtMs),
+                locationAccuracyMeters: ping.accuracyMeters,
+                heading: ping.heading,
+                speedMps: ping.speedMps,
+                lastSeenOnline: _admin.firestore.Timestamp.now(),
+                locationRejections: 0
+            };
+            transaction.update(driverRef, update);
+
+            return {
+                accepted: true,
+                reanchored: !check.plausible,
+                check,
+                driver: { id: driverId, ...driver, ...update }
+            };
+        });
+
+        if (result.reanchored) {
+            await SecurityLogger.logCriticalAction(driverId, 'implausible_location_jump', {
+                reason: result.check.reason,
+                distanceMiles: result.check.distanceMiles,
+                impliedSpeedMph: result.check.impliedSpeedMph
+            });
+        }
+
+        if (!result.accepted) {
+            return { accepted: false, reason: result.reason };
+        }
+
+        const { previousKey, newKey } = OptimizedDriverSearch.upsertDriver(result.driver);
+
+        // History is best effort: the live position is already stored.
+        const history = await DriverLocationHistory.recordPing(driverId, result.driver, ping)
+            .catch(error => {
+                console.error(`Failed to record location history for driver ${driverId}:`, error.message);
+                return { stored: false };
+            });
+
+        return {
+            accepted: true,
+            reanchored: result.reanchored,
+            geohash: result.driver.geohash,
+            gridCellChanged: previousKey !== newKey,
+            historyStored: history.stored
+        };
+    }
+}
+
+module.exports = DriverLocationTracking;
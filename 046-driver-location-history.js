@@ -0,0 +1,146 @@
+// 046-driver-location-history.js
+// Downsampled history of accepted driver pings, plus a breadcrumb trail on every order the driver
+// is carrying. Feeds dispute handling and location-based fraud checks.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { DRIVER_ACTIVE_ORDER_STATUSES } = require('./002-constants-definition');
+const { distanceRadius } = require('./003-utilities-helpers');
+
+class DriverLocationHistory {
+    static historyCollection = 'driver_location_history'; // {driverId}/points/{pointId}
+    static breadcrumbsCollection = 'breadcrumbs'; // Subcollection on every order document
+    static retentionDays = 30; // `expiresAt` is meant for a Firestore TTL policy
+
+    // A ping is stored when enough time passed OR the driver moved far enough since the last
+    // stored point. Drivers carrying orders are sampled more densely for the breadcrumb trail.
+    static sampling = {
+        idle: { minIntervalSeconds: 120, minDistanceMiles: 0.25 },
+        onOrder: { minIntervalSeconds: 15, minDistanceMiles: 0.03 },
+        minSpacingSeconds: 5 // Never store two points closer together in time than this
+    };
+
+    static shouldStore(lastPoint, ping, onOrder) {
+        if (!lastPoint) return true;
+        const lastMs = lastPoint.recordedAt?.toMillis ? lastPoint.recordedAt.toMillis() : Number(lastPoint.recordedAt);
+        if (!lastPoint.recordedAt || !Number.isFinite(lastMs)) return true;
+        const elapsedSeconds = (ping.recordedAtMs - lastMs) / 1000;
+        if (elapsedSeconds < this.sampling.minSpacingSeconds) return false;
+
+        const { minIntervalSeconds, minDistanceMiles } = onOrder ? this.sampling.onOrder : this.sampling.idle;
+        if (elapsedSeconds >= minIntervalSeconds) return true;
+        return distanceRadius(lastPoint.latitude, lastPoint.longitude, ping.latitude, ping.longitude) >= minDistanceMiles;
+    }
+
+    // `driver` is the driver document with this ping's location update merged in (its
+    // `lastHistoryPoint` and `inProgressOrderID` are as stored); `ping` is a validated ping.
+    static async recordPing(driverId, driver, ping) {
+        const orderIds = await this.getActiveOrderIds(driverId, driver.inProgressOrderID || []);
+        if (!this.shouldStore(driver.lastHistoryPoint, ping, orderIds.length > 0)) {
+            return { stored: false };
+        }
+
+        const recordedAt = _admin.firestore.Timestamp.fromMillis(ping.recordedAtMs);
+        const point = {
+            latitude: ping.latitude,
+            longitude: ping.longitude,
+            accuracyMeters: ping.accuracyMeters,
+            heading: ping.heading,
+            speedMps: ping.speedMps,
+            recordedAt
+        };
+
+        const batch = _firestore.batch();
+        batch.set(_firestore.collection(this.historyCollection).doc(driverId).collection('points').doc(), {
+            ...point,
+            orderIds,
+            expiresAt: _admin.firestore.Timestamp.fromMillis(ping.recordedAtMs + this.retentionDays * 24 * 60 * 60 * 1000)
+        });
+        orderIds.forEach(orderId => {
+            batch.set(_firestore.collection('restaurant_orders').doc(orderId).collection(this.breadcrumbsCollection).doc(), {
+                ...point,
+                driverId
+            });
+        });
+        batch.update(_firestore.collection('users').doc(driverId), {
+            lastHistoryPoint: { latitude: ping.latitude, longitude: ping.longitude, recordedAt }
+        });
+        await batch.commit();
+
+        return { stored: true, orderIds };
+    }
+
+    // Orders of `orderIds` the driver is still carrying, so stale entries get no breadcrumbs.
+    static async getActiveOrderIds(driverId, orderIds) {
+        if (orderIds.length === 0) return [];
+        const orderDocs = await _firestore.getAll(...orderIds.map(id => _firestore.collection('restaurant_orders').doc(id)));
+        return orderDocs
+            .filter(doc => doc.exists && doc.data().driverID === driverId &&
+                DRIVER_ACTIVE_ORDER_STATUSES.includes(doc.data().status))
+            .map(doc => doc.id);
+    }
+
+    static async getDriverHistory(driverId, { from = null, to = null, limit = 500 } = {}) {
+        let query = _firestore.collection(this.historyCollection).doc(driverId).collection('points');
+        if (from) query = query.where('recordedAt', '>=', _admin.firestore.Timestamp.fromDate(new Date(from)));
+        if (to) query = query.where('recordedAt', '<=', _admin.firestore.Timestamp.fromDate(new Date(to)));
+
+        const snapshot = await query.orderBy('recordedAt', 'asc').limit(limit).get();
+        return snapshot.docs.map(doc => this.toPoint(doc));
+    }
+
+    // Latest `limit` points, oldest first.
+    static async getRecentPoints(driverId, limit = 20) {
+        const snapshot = await _firestore.collection(this.historyCollection).doc(driverId).collection('points')
+            .orderBy('recordedAt', 'desc')
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(doc => this.toPoint(doc)).reverse();
+    }
+
+    // The breadcrumb trail of an order (optionally only one driver's part, e.g. after a reassignment)
+    // with a distance/duration summary.
+    static async getOrderTrail(orderId, driverId = null) {
+        const orderDoc = await _firestore.collection('restaurant_orders').doc(orderId).get();
+        if (!orderDoc.exists) {
+            throw new _functions.https.HttpsError('not-found', `Order ${orderId} not found`);
+        }
+
+        let query = orderDoc.ref.collection(this.breadcrumbsCollection);
+        if (driverId) query = query.where('driverId', '==', driverId);
+        const snapshot = await query.orderBy('recordedAt', 'asc').get();
+        // Points without a readable timestamp (e.g. a server timestamp not yet resolved) cannot be
+        // placed on the trail.
+        const points = snapshot.docs.map(doc => this.toPoint(doc)).filter(point => point.recordedAt !== null);
+
+        let distanceMiles = 0;
+        for (let i = 1; i < points.length; i++) {
+            distanceMiles += distanceRadius(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+        }
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        return {
+            orderId,
+            driverId: driverId || orderDoc.data().driverID || null,
+            pointCount: points.length,
+            distanceMiles: Math.round(distanceMiles * 100) / 100,
+            durationMinutes: points.length > 1 ?
+                Math.round((Date.parse(last.recordedAt) - Date.parse(first.recordedAt)) / 60000) : 0,
+            points
+        };
+    }
+
+    static toPoint(doc) {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            latitude: data.latitude,
+            longitude: data.longitude,
+            accuracyMeters: data.accuracyMeters ?? null,
+            speedMps: data.speedMps ?? null,
+            ...(data.driverId ? { driverId: data.driverId } : {}),
+            recordedAt: data.recordedAt?.toDate ? data.recordedAt.toDate().toISOString() : null
+        };
+    }
+}
+
+module.exports = DriverLocationHistory;
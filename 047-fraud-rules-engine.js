@@ -0,0 +1,416 @@
+// 047-fraud-rules-engine.js
+// Declarative fraud rules: conditions over the facts AIFraudDetection gathers (activity, context,
+// user history) with a score per rule. The live rule set is versioned in Firestore and reloaded
+// by every instance without a redeploy; the built-in defaults apply until one is published.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const SecurityLogger = require('./017-security-logger');
+
+// Leaf operators: `actual` is the fact value, `expected` the rule's `value`.
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    neq: (actual, expected) => actual !== expected,
+    gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+    gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+    lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+    lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+    between: (actual, [min, max]) => typeof actual === 'number' && actual >= min && actual <= max,
+    in: (actual, expected) => expected.includes(actual),
+    notIn: (actual, expected) => !expected.includes(actual),
+    contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+    exists: (actual, expected) => (actual !== undefined && actual !== null) === expected
+};
+
+class FraudRulesEngine {
+    static rulesDocPath = ['fraud_rules', 'current']; // Archived versions live under `versions/`
+    static reloadIntervalMs = 30 * 1000;
+    static maxConditionDepth = 8;
+
+    static cache = { ruleSet: null, loadedAt: 0 };
+
+    // The checks AIFraudDetection used to hard-code, plus payment abuse. Rules sharing an
+    // `exclusiveGroup` only contribute their highest matching score (e.g. the two late-night windows).
+    // `reason` is shown to support staff; `{fact.path}` placeholders are filled from the facts.
+    static defaultRuleSet = {
+        version: 0,
+        maxScore: 100,
+        groupCaps: { location: 60, promo: 50, card_testing: 60, refund: 40 },
+        rules: [
+            { id: 'velocity_same_action_burst', group: 'velocity', score: 40, exclusiveGroup: 'velocity_same_action',
+                reason: '{velocity.activityCount} {activity} actions in the last 5 minutes',
+                when: { fact: 'velocity.activityCount', op: 'gt', value: 10 } },
+            { id: 'velocity_same_action_high', group: 'velocity', score: 20, exclusiveGroup: 'velocity_same_action',
+                reason: '{velocity.activityCount} {activity} actions in the last 5 minutes',
+                when: { fact: 'velocity.activityCount', op: 'gt', value: 5 } },
+            { id: 'velocity_many_action_types', group: 'velocity', score: 30,
+                reason: '{velocity.uniqueActions} different actions in the last 5 minutes',
+                when: { fact: 'velocity.uniqueActions', op: 'gt', value: 8 } },
+
+            { id: 'behavior_new_user', group: 'behavior', score: 10,
+                reason: 'No activity history for this account yet',
+                when: { fact: 'behavior.hasProfile', op: 'eq', value: false } },
+            { id: 'behavior_unusual_high_value_order', group: 'behavior', score: 25,
+                reason: 'First high value order for this account',
+                when: { all: [
+                    { fact: 'behavior.hasProfile', op: 'eq', value: true },
+                    { fact: 'activity', op: 'eq', value: 'high_value_order' },
+                    { fact: 'behavior.activityFrequency', op: 'eq', value: 0 }
+                ] } },
+            { id: 'behavior_atypical_hour', group: 'behavior', score: 15,
+                reason: 'Activity at {time.hour}:00, outside the account\'s usual hours',
+                when: { all: [
+                    { fact: 'behavior.hasProfile', op: 'eq', value: true },
+                    { fact: 'behavior.isTypicalHour', op: 'eq', value: false }
+                ] } },
+
+            { id: 'device_none_known', group: 'device', score: 15,
+                reason: 'No known devices for this account',
+                when: { fact: 'device.hasKnownDevices', op: 'eq', value: false } },
+            { id: 'device_new_ip', group: 'device', score: 20,
+                reason: 'Request from an IP address not seen on this account before',
+                when: { all: [{ fact: 'device.hasKnownDevices', op: 'eq', value: true }, { fact: 'device.newIP', op: 'eq', value: true }] } },
+            { id: 'device_new_user_agent', group: 'device', score: 15,
+                reason: 'Request from a browser or app version not seen on this account before',
+                when: { all: [{ fact: 'device.hasKnownDevices', op: 'eq', value: true }, { fact: 'device.newUserAgent', op: 'eq', value: true }] } },
+            { id: 'device_new_fingerprint', group: 'device', score: 25,
+                reason: 'Request from a device not seen on this account before',
+                when: { all: [{ fact: 'device.hasKnownDevices', op: 'eq', value: true }, { fact: 'device.newFingerprint', op: 'eq', value: true }] } },
+
+            { id: 'time_late_night', group: 'time', score: 20, exclusiveGroup: 'time_night',
+                reason: '{activity} at {time.hour}:00 (between midnight and 5 AM)',
+                when: { all: [
+                    { fact: 'activity', op: 'in', value: ['place_order', 'driver_accept'] },
+                    { fact: 'time.hour', op: 'between', value: [0, 5] }
+                ] } },
+            { id: 'time_night', group: 'time', score: 10, exclusiveGroup: 'time_night',
+                reason: '{activity} at {time.hour}:00 (late night)',
+                when: { all: [
+                    { fact: 'activity', op: 'in', value: ['place_order', 'driver_accept'] },
+                    { any: [{ fact: 'time.hour', op: 'gte', value: 23 }, { fact: 'time.hour', op: 'lte', value: 6 }] }
+                ] } },
+            { id: 'time_weekend_vendor_management', group: 'time', score: 10,
+                reason: 'Vendor management on a weekend',
+                when: { all: [
+                    { fact: 'activity', op: 'eq', value: 'vendor_management' },
+                    { fact: 'time.dayOfWeek', op: 'in', value: [0, 6] }
+                ] } },
+
+            { id: 'location_impossible_travel', group: 'location', score: 35,
+                reason: 'Moved {location.details.impossible_travel.distanceMiles} miles at {location.details.impossible_travel.speedMph} mph since the previous event',
+                when: { fact: 'location.anomalies', op: 'contains', value: 'impossible_travel' } },
+            { id: 'location_country_change', group: 'location', score: 20,
+                reason: 'Country changed from {location.details.country_change.from} to {location.details.country_change.to} within hours',
+                when: { fact: 'location.anomalies', op: 'contains', value: 'country_change' } },
+            { id: 'location_mock_location', group: 'location', score: 30,
+                reason: 'The device reported a mock (simulated) location',
+                when: { fact: 'location.anomalies', op: 'contains', value: 'mock_location' } },
+            { id: 'location_constant_coordinates', group: 'location', score: 20,
+                reason: '{location.details.constant_coordinates.points} identical GPS fixes in a row',
+                when: { fact: 'location.anomalies', op: 'contains', value: 'constant_coordinates' } },
+            { id: 'location_teleports', group: 'location', score: 25,
+                reason: '{location.details.teleports.count} impossible jumps in recent GPS positions',
+                when: { fact: 'location.anomalies', op: 'contains', value: 'teleports' } },
+            { id: 'location_far_delivery_address', group: 'location', score: 15,
+                reason: 'Delivery address {location.details.far_delivery_address.nearestPreviousAddressMiles} miles from any previous delivery address',
+                when: { fact: 'location.anomalies', op: 'contains', value: 'far_delivery_address' } },
+
+            { id: 'promo_farming_new_accounts', group: 'promo', score: 40, exclusiveGroup: 'promo_farming',
+                reason: 'Promo {payment.promo.code} also redeemed by {payment.promo.newLinkedRedeemers} new accounts sharing a device or address',
+                when: { fact: 'payment.promo.newLinkedRedeemers', op: 'gte', value: 2 } },
+            { id: 'promo_farming_linked_accounts', group: 'promo', score: 30, exclusiveGroup: 'promo_farming',
+                reason: 'Promo {payment.promo.code} also redeemed by {payment.promo.linkedRedeemers} accounts sharing a device or address',
+                when: { fact: 'payment.promo.linkedRedeemers', op: 'gte', value: 3 } },
+            { id: 'promo_shared_with_linked_account', group: 'promo', score: 10, exclusiveGroup: 'promo_farming',
+                reason: 'Promo {payment.promo.code} also redeemed by {payment.promo.linkedRedeemers} account(s) sharing a device or address',
+                when: { fact: 'payment.promo.linkedRedeemers', op: 'gte', value: 1 } },
+            { id: 'promo_brand_new_account', group: 'promo', score: 10,
+                reason: 'Promo {payment.promo.code} redeemed by an account created today',
+                when: { fact: 'payment.promo.accountAgeDays', op: 'lt', value: 1 } },
+
+            { id: 'card_testing_small_failures', group: 'card_testing', score: 45, exclusiveGroup: 'card_testing_user',
+                reason: '{payment.cardTesting.smallFailedCount} small failed payments in the last hour',
+                when: { fact: 'payment.cardTesting.smallFailedCount', op: 'gte', value: 5 } },
+            { id: 'card_testing_many_cards', group: 'card_testing', score: 30, exclusiveGroup: 'card_testing_user',
+                reason: '{payment.cardTesting.failedCount} failed payments with {payment.cardTesting.distinctCards} different cards in the last hour',
+                when: { all: [
+                    { fact: 'payment.cardTesting.failedCount', op: 'gte', value: 3 },
+                    { fact: 'payment.cardTesting.distinctCards', op: 'gte', value: 3 }
+                ] } },
+            { id: 'card_testing_ip_burst', group: 'card_testing', score: 30,
+                reason: '{payment.cardTesting.ipFailedCount} failed payments from this IP across {payment.cardTesting.ipDistinctUsers} accounts in the last hour',
+                when: { all: [
+                    { fact: 'payment.cardTesting.ipFailedCount', op: 'gte', value: 10 },
+                    { fact: 'payment.cardTesting.ipDistinctUsers', op: 'gte', value: 3 }
+                ] } },
+
+            { id: 'refund_abuse_high_ratio', group: 'refund', score: 35, exclusiveGroup: 'refund_ratio',
+                reason: '{payment.refunds.refunded} of {payment.refunds.orders} recent orders refunded',
+                when: { all: [
+                    { fact: 'payment.refunds.orders', op: 'gte', value: 5 },
+                    { fact: 'payment.refunds.ratio', op: 'gte', value: 0.5 }
+                ] } },
+            { id: 'refund_abuse_elevated_ratio', group: 'refund', score: 15, exclusiveGroup: 'refund_ratio',
+                reason: '{payment.refunds.refunded} of {payment.refunds.orders} recent orders refunded',
+                when: { all: [
+                    { fact: 'payment.refunds.orders', op: 'gte', value: 5 },
+                    { fact: 'payment.refunds.ratio', op: 'gte', value: 0.3 }
+                ] } }
+        ]
+    };
+
+    // --- Evaluation ---
+
+    static resolveFact(facts, path) {
+        return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), facts);
+    }
+
+    // `{ all: [...] }`, `{ any: [...] }`, `{ not: condition }` or a leaf `{ fact, op, value }`.
+    // A leaf over a missing fact is false (except `exists`), so a failed history lookup never scores.
+    static evaluateCondition(condition, facts) {
+        if (condition.all) return condition.all.every(child => this.evaluateCondition(child, facts));
+        if (condition.any) return condition.any.some(child => this.evaluateCondition(child, facts));
+        if (condition.not) return !this.evaluateCondition(condition.not, facts);
+
+        const actual = this.resolveFact(facts, condition.fact);
+        if (condition.op !== 'exists' && (actual === undefined || actual === null)) return false;
+        return OPERATORS[condition.op](actual, condition.value);
+    }
+
+    // Returns { score, matches, groupScores, ruleSetVersion }. Each match records the rule's points,
+    // the points it actually added after group caps (earlier rules in the set are counted first),
+    // a readable reason and the fact values its condition looked at.
+    // `options.groups` restricts evaluation to some rule groups.
+    static evaluate(ruleSet, facts, options = {}) {
+        const rules = ruleSet.rules.filter(rule => rule.enabled !== false &&
+            (!options.groups || options.groups.includes(rule.group)));
+
+        const matched = rules.filter(rule => this.evaluateCondition(rule.when, facts));
+        const bestByExclusiveGroup = new Map();
+        matched.forEach(rule => {
+            if (!rule.exclusiveGroup) return;
+            const best = bestByExclusiveGroup.get(rule.exclusiveGroup);
+            if (!best || rule.score > best.score) bestByExclusiveGroup.set(rule.exclusiveGroup, rule);
+        });
+
+        const groupScores = {};
+        const matches = matched
+            .filter(rule => !rule.exclusiveGroup || bestByExclusiveGroup.get(rule.exclusiveGroup) === rule)
+            .map(rule => {
+                const groupScore = groupScores[rule.group] || 0;
+                const cap = ruleSet.groupCaps?.[rule.group] ?? Infinity;
+                const appliedScore = Math.max(0, Math.min(rule.score, cap - groupScore));
+                groupScores[rule.group] = groupScore + appliedScore;
+                return {
+                    ruleId: rule.id,
+                    group: rule.group,
+                    score: rule.score,
+                    appliedScore,
+                    reason: this.renderReason(rule, facts),
+                    facts: this.collectConditionFacts(rule.when, facts)
+                };
+            });
+
+        const total = Object.values(groupScores).reduce((sum, value) => sum + value, 0);
+        const maxScore = ruleSet.maxScore ?? 100;
+        return {
+            score: Math.min(total, maxScore),
+            cappedAtMaxScore: total > maxScore,
+            matches,
+            groupScores,
+            ruleSetVersion: ruleSet.version
+        };
+    }
+
+    static renderReason(rule, facts) {
+        const template = rule.reason || rule.description;
+        if (!template) return `Rule ${rule.id} matched`;
+        return template.replace(/\{([\w.]+)\}/g, (placeholder, path) => {
+            const value = this.resolveFact(facts, path);
+            if (value === undefined || value === null) return '?';
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        });
+    }
+
+    // { 'fact.path': value } for every leaf of the condition, so an explanation shows the numbers
+    // the rule compared against its thresholds.
+    static collectConditionFacts(condition, facts, collected = {}) {
+        const children = condition.all || condition.any || (condition.not ? [condition.not] : null);
+        if (children) {
+            children.forEach(child => this.collectConditionFacts(child, facts, collected));
+        } else {
+            const value = this.resolveFact(facts, condition.fact);
+            collected[condition.fact] = value === undefined ? null : value;
+        }
+        return collected;
+    }
+
+    // --- Validation ---
+
+    static validateCondition(condition, path, errors, depth = 0) {
+        if (depth > this.maxConditionDepth) {
+            errors.push(`${path}: conditions nested deeper than ${this.maxConditionDepth}`);
+            return;
+        }
+        if (!condition || typeof condition !== 'object') {
+            errors.push(`${path}: condition must be an object`);
+            return;
+        }
+        if (condition.all || condition.any) {
+            const children = condition.all || condition.any;
+            if (!Array.isArray(children) || children.length === 0) {
+                errors.push(`${path}: all/any must be a non-empty array`);
+                return;
+            }
+            children.forEach((child, i) => this.validateCondition(child, `${path}.${condition.all ? 'all' : 'any'}[${i}]`, errors, depth + 1));
+            return;
+        }
+        if (condition.not) {
+            this.validateCondition(condition.not, `${path}.not`, errors, depth + 1);
+            return;
+        }
+
+        if (typeof condition.fact !== 'string' || !condition.fact) errors.push(`${path}: fact must be a non-empty string`);
+        if (!OPERATORS[condition.op]) {
+            errors.push(`${path}: unknown operator ${condition.op}`);
+            return;
+        }
+        if (['in', 'notIn'].includes(condition.op) && !Array.isArray(condition.value)) {
+            errors.push(`${path}: ${condition.op} needs an array value`);
+        }
+        if (condition.op === 'between' && !(Array.isArray(condition.value) && condition.value.length === 2 &&
+            condition.value.every(bound => typeof bound === 'number'))) {
+            errors.push(`${path}: between needs a [min, max] number pair`);
+        }
+        if (['gt', 'gte', 'lt', 'lte'].includes(condition.op) && typeof condition.value !== 'number') {
+            errors.push(`${path}: ${condition.op} needs a number value`);
+        }
+        if (condition.op === 'exists' && typeof condition.value !== 'boolean') {
+            errors.push(`${path}: exists needs a boolean value`);
+        }
+    }
+
+    // Returns the normalized rule set or throws invalid-argument listing every problem.
+    static validateRuleSet(ruleSet) {
+        const errors = [];
+        if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'Invalid fraud rule set: rules must be an array');
+        }
+
+        const ids = new Set();
+        ruleSet.rules.forEach((rule, i) => {
+            const path = `rules[${i}]`;
+            if (typeof rule.id !== 'string' || !/^[a-z0-9_]+$/.test(rule.id)) errors.push(`${path}: id must match [a-z0-9_]+`);
+            else if (ids.has(rule.id)) errors.push(`${path}: duplicate id ${rule.id}`);
+            ids.add(rule.id);
+            if (typeof rule.group !== 'string' || !rule.group) errors.push(`${path}: group is required`);
+            if (typeof rule.score !== 'number' || rule.score < 0 || rule.score > 100) errors.push(`${path}: score must be between 0 and 100`);
+            if (rule.reason !== undefined && typeof rule.reason !== 'string') errors.push(`${path}: reason must be a string`);
+            this.validateCondition(rule.when, `${path}.when`, errors);
+        });
+
+        const maxScore = ruleSet.maxScore ?? 100;
+        if (!(maxScore > 0 && maxScore <= 100)) errors.push('maxScore must be between 0 and 100');
+        Object.entries(ruleSet.groupCaps || {}).forEach(([group, cap]) => {
+            if (!(cap >= 0)) errors.push(`groupCaps.${group} must be non-negative`);
+        });
+
+        if (errors.length > 0) {
+            throw new _functions.https.HttpsError('invalid-argument', `Invalid fraud rule set: ${errors.join('; ')}`);
+        }
+        return {
+            version: ruleSet.version ?? null,
+            maxScore,
+            groupCaps: ruleSet.groupCaps || {},
+            rules: ruleSet.rules.map(rule => ({
+                id: rule.id,
+                group: rule.group,
+                score: rule.score,
+                when: rule.when,
+                ...(rule.exclusiveGroup ? { exclusiveGroup: rule.exclusiveGroup } : {}),
+                ...(rule.reason ? { reason: rule.reason } : {}),
+                ...(rule.description ? { description: rule.description } : {}),
+                ...(rule.enabled === false ? { enabled: false } : {})
+            }))
+        };
+    }
+
+    // --- Storage ---
+
+    static rulesRef() {
+        return _firestore.collection(this.rulesDocPath[0]).doc(this.rulesDocPath[1]);
+    }
+
+    // The live rule set. Re-read from Firestore at most every `reloadIntervalMs`; a published set
+    // that fails validation (e.g. edited by hand) is ignored and the last good one kept.
+    static async getActiveRuleSet() {
+        const { ruleSet, loadedAt } = this.cache;
+        if (ruleSet && Date.now() - loadedAt < this.reloadIntervalMs) {
+            return ruleSet;
+        }
+
+        try {
+            const doc = await this.rulesRef().get();
+            if (!doc.exists) {
+                this.cache = { ruleSet: this.defaultRuleSet, loadedAt: Date.now() };
+            } else if (doc.data().version !== ruleSet?.version) {
+                const loaded = this.validateRuleSet(doc.data());
+                console.log(`FRAUD RULES: Loaded rule set version ${loaded.version} (${loaded.rules.length} rules)`);
+                this.cache = { ruleSet: loaded, loadedAt: Date.now() };
+            } else {
+                this.cache.loadedAt = Date.now();
+            }
+        } catch (error) {
+            console.error('FRAUD RULES: Failed to reload rule set, keeping the current one:', error.message);
+            this.cache = { ruleSet: ruleSet || this.defaultRuleSet, loadedAt: Date.now() };
+        }
+        return this.cache.ruleSet;
+    }
+
+    // A published version: the live one or an archived one.
+    static async getRuleSet(version) {
+        const current = await this.rulesRef().get();
+        if (current.exists && current.data().version === version) {
+            return this.validateRuleSet(current.data());
+        }
+        const archived = await this.rulesRef().collection('versions').doc(String(version)).get();
+        if (!archived.exists) {
+            throw new _functions.https.HttpsError('not-found', `Fraud rule set version ${version} not found`);
+        }
+        return this.validateRuleSet(archived.data());
+    }
+
+    // Publishes a new live version; the previous one is archived under `versions/`.
+    static async publishRuleSet(ruleSet, actor = {}, notes = '') {
+        const normalized = this.validateRuleSet(ruleSet);
+        const rulesRef = this.rulesRef();
+
+        const version = await _firestore.runTransaction(async (transaction) => {
+            const current = await transaction.get(rulesRef);
+            const nextVersion = current.exists ? (current.data().version || 0) + 1 : 1;
+
+            if (current.exists) {
+                transaction.set(rulesRef.collection('versions').doc(String(current.data().version || 0)), current.data());
+            }
+
+            transaction.set(rulesRef, {
+                rules: normalized.rules,
+                groupCaps: normalized.groupCaps,
+                maxScore: normalized.maxScore,
+                version: nextVersion,
+                notes,
+                updatedBy: actor.uid || 'system',
+                updatedAt: _admin.firestore.FieldValue.serverTimestamp()
+            });
+            return nextVersion;
+        });
+
+        this.cache = { ruleSet: { ...normalized, version }, loadedAt: Date.now() };
+        await SecurityLogger.logCriticalAction(actor.uid || 'system', 'fraud_rules_published', {
+            version,
+            ruleCount: normalized.rules.length,
+            notes
+        });
+        return { version, ruleCount: normalized.rules.length };
+    }
+}
+
+module.exports = FraudRulesEngine;
@@ -0,0 +1,264 @@
+// 048-fraud-case-management.js
+// One fraud case per flagged user: links the fraud scores that triggered it and any evidence
+// reviewers add, tracks the assignee and status, and applies the outcome to the user
+// (cleared -> reinstated, confirmed -> permanently banned).
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { FRAUD_CASE_STATUS, FRAUD_CASE_STATUS_TRANSITIONS } = require('./002-constants-definition');
+const SecurityLogger = require('./017-security-logger');
+
+class FraudCaseManagement {
+    static casesCollection = 'fraud_cases';
+    static evidenceCollection = 'evidence'; // Subcollection on every case
+    static historyCollection = 'history'; // Subcollection on every case
+    static severityRank = { high: 1, critical: 2 };
+
+    // Called by AIFraudDetection whenever a score crosses HIGH. Adds to the user's active case or
+    // opens a new one; a case never drops in severity.
+    // `flag`: { severity: 'high' | 'critical', score, fraudScoreId, activity, factors, autoAction }.
+    static async openOrUpdateCase(userId, flag) {
+        const userRef = _firestore.collection('users').doc(userId);
+
+        return _firestore.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            const activeCaseId = userDoc.exists ? userDoc.data().activeFraudCaseId : null;
+            const activeCaseDoc = activeCaseId ?
+                await transaction.get(_firestore.collection(this.casesCollection).doc(activeCaseId)) : null;
+
+            const isActive = activeCaseDoc?.exists && !this.isFinalStatus(activeCaseDoc.data().status);
+            const caseRef = isActive ? activeCaseDoc.ref : _firestore.collection(this.casesCollection).doc();
+            const now = _admin.firestore.FieldValue.serverTimestamp();
+
+            if (isActive) {
+                const current = activeCaseDoc.data();
+                const escalate = this.severityRank[flag.severity] > this.severityRank[current.severity];
+                transaction.update(caseRef, {
+                    severity: escalate ? flag.severity : current.severity,
+                    latestScore: flag.score,
+                    maxScore: Math.max(current.maxScore || 0, flag.score),
+                    autoActions: _admin.firestore.FieldValue.arrayUnion(flag.autoAction),
+                    ...(flag.fraudScoreId ? { fraudScoreIds: _admin.firestore.FieldValue.arrayUnion(flag.fraudScoreId) } : {}),
+                    evidenceCount: _admin.firestore.FieldValue.increment(1),
+                    updatedAt: now
+                });
+            } else {
+                transaction.set(caseRef, {
+                    userId,
+                    status: FRAUD_CASE_STATUS.OPEN,
+                    severity: flag.severity,
+                    latestScore: flag.score,
+                    maxScore: flag.score,
+                    autoActions: [flag.autoAction],
+                    fraudScoreIds: flag.fraudScoreId ? [flag.fraudScoreId] : [],
+                    evidenceCount: 1,
+                    assigneeId: null,
+                    resolution: null,
+                    createdAt: now,
+                    updatedAt: now
+                });
+                transaction.set(userRef, { activeFraudCaseId: caseRef.id }, { merge: true });
+                this.recordHistory(transaction, caseRef, null, FRAUD_CASE_STATUS.OPEN, 'system', { severity: flag.severity });
+            }
+
+            transaction.set(caseRef.collection(this.evidenceCollection).doc(), {
+                type: 'fraud_score',
+                fraudScoreId: flag.fraudScoreId || null,
+                score: flag.score,
+                activity: flag.activity,
+                factors: flag.factors || [],
+                autoAction: flag.autoAction,
+                addedBy: 'system',
+                addedAt: now
+            });
+
+            return { caseId: caseRef.id, created: !isActive };
+        });
+    }
+
+    static isFinalStatus(status) {
+        return (FRAUD_CASE_STATUS_TRANSITIONS[status] || []).length === 0;
+    }
+
+    static assertTransition(caseId, fromStatus, toStatus) {
+        if (!Object.values(FRAUD_CASE_STATUS).includes(toStatus)) {
+            throw new _functions.https.HttpsError('invalid-argument', `Unknown fraud case status: ${toStatus}`);
+        }
+        if (!(FRAUD_CASE_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+            throw new _functions.https.HttpsError('failed-precondition',
+                `Illegal status transition for fraud case ${caseId}: ${fromStatus} -> ${toStatus}`);
+        }
+    }
+
+    static recordHistory(transaction, caseRef, fromStatus, toStatus, changedBy, metadata = {}) {
+        transaction.set(caseRef.collection(this.historyCollection).doc(), {
+            fromStatus,
+            toStatus,
+            changedBy,
+            metadata,
+            timestamp: _admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    // Assigns a reviewer; an open case moves to investigating.
+    static async assignCase(caseId, assigneeId, actor = {}) {
+        const caseRef = _firestore.collection(this.casesCollection).doc(caseId);
+
+        return _firestore.runTransaction(async (transaction) => {
+            const caseDoc = await transaction.get(caseRef);
+            if (!caseDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Fraud case ${caseId} not found`);
+            }
+            const { status } = caseDoc.data();
+            if (this.isFinalStatus(status)) {
+                throw new _functions.https.HttpsError('failed-precondition', `Fraud case ${caseId} is already ${status}`);
+            }
+
+            const update = { assigneeId, updatedAt: _admin.firestore.FieldValue.serverTimestamp() };
+            if (status === FRAUD_CASE_STATUS.OPEN) {
+                update.status = FRAUD_CASE_STATUS.INVESTIGATING;
+            }
+            transaction.update(caseRef, update);
+            this.recordHistory(transaction, caseRef, status, update.status || status, actor.uid || 'system', { assigneeId });
+
+            return { caseId, status: update.status || status, assigneeId };
+        });
+    }
+
+    // Reviewer evidence: { type, description, url? }.
+    static async addEvidence(caseId, evidence, actor = {}) {
+        if (!evidence?.type || !evidence?.description) {
+            throw new _functions.https.HttpsError('invalid-argument', 'Evidence needs a type and a description');
+        }
+        const caseRef = _firestore.collection(this.casesCollection).doc(caseId);
+
+        return _firestore.runTransaction(async (transaction) => {
+            const caseDoc = await transaction.get(caseRef);
+            if (!caseDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Fraud case ${caseId} not found`);
+            }
+            if (this.isFinalStatus(caseDoc.data().status)) {
+                throw new _functions.https.HttpsError('failed-precondition', `Fraud case ${caseId} is already ${caseDoc.data().status}`);
+            }
+
+            const evidenceRef = caseRef.collection(this.evidenceCollection).doc();
+            transaction.set(evidenceRef, {
+                type: String(evidence.type),
+                description: String(evidence.description),
+                url: evidence.url || null,
+                addedBy: actor.uid || 'system',
+                addedAt: _admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(caseRef, {
+                evidenceCount: _admin.firestore.FieldValue.increment(1),
+                updatedAt: _admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { caseId, evidenceId: evidenceRef.id };
+        });
+    }
+
+    // `resolution`: 'cleared' reinstates the user, 'confirmed' bans them permanently.
+    static async resolveCase(caseId, resolution, notes = '', actor = {}) {
+        if (![FRAUD_CASE_STATUS.CLEARED, FRAUD_CASE_STATUS.CONFIRMED].includes(resolution)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'Resolution must be cleared or confirmed');
+        }
+        const caseRef = _firestore.collection(this.casesCollection).doc(caseId);
+
+        const result = await _firestore.runTransaction(async (transaction) => {
+            const caseDoc = await transaction.get(caseRef);
+            if (!caseDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Fraud case ${caseId} not found`);
+            }
+            const fraudCase = caseDoc.data();
+            this.assertTransition(caseId, fraudCase.status, resolution);
+
+            const userRef = _firestore.collection('users').doc(fraudCase.userId);
+            const userDoc = await transaction.get(userRef);
+            const now = _admin.firestore.FieldValue.serverTimestamp();
+            const remove = _admin.firestore.FieldValue.delete();
+
+            transaction.update(caseRef, {
+                status: resolution,
+                resolution: { outcome: resolution, notes, resolvedBy: actor.uid || 'system' },
+                resolvedAt: now,
+                updatedAt: now
+            });
+            this.recordHistory(transaction, caseRef, fraudCase.status, resolution, actor.uid || 'system', { notes });
+
+            if (userDoc.exists) {
+                // A newer case may have replaced this one as the user's active case.
+                const activeCaseUpdate = userDoc.data().activeFraudCaseId === caseId ? { activeFraudCaseId: remove } : {};
+                transaction.update(userRef, resolution === FRAUD_CASE_STATUS.CLEARED ? {
+                    suspended: false,
+                    flaggedForReview: false,
+                    suspendReason: remove,
+                    flagReason: remove,
+                    fraudFactors: remove,
+                    reinstatedAt: now,
+                    reinstatedBy: actor.uid || 'system',
+                    ...activeCaseUpdate
+                } : {
+                    banned: true,
+                    banReason: `Confirmed fraud (case ${caseId})`,
+                    bannedAt: now,
+                    bannedBy: actor.uid || 'system',
+                    suspended: true,
+                    flaggedForReview: false,
+                    ...activeCaseUpdate
+                });
+            }
+
+            return { caseId, userId: fraudCase.userId, status: resolution, userFound: userDoc.exists };
+        });
+
+        // Banned users lose their sessions immediately instead of at token expiry.
+        if (resolution === FRAUD_CASE_STATUS.CONFIRMED && result.userFound) {
+            try {
+                await _admin.auth().updateUser(result.userId, { disabled: true });
+                await _admin.auth().revokeRefreshTokens(result.userId);
+            } catch (error) {
+                console.error(`Failed to disable auth account of banned user ${result.userId}:`, error.message);
+            }
+        }
+
+        await SecurityLogger.logCriticalAction(actor.uid || 'system', 'fraud_case_resolved', {
+            caseId,
+            userId: result.userId,
+            resolution,
+            notes
+        });
+        return result;
+    }
+
+    static async listCases({ status = null, assigneeId = null, limit = 50 } = {}) {
+        let query = _firestore.collection(this.casesCollection);
+        if (status) query = query.where('status', '==', status);
+        if (assigneeId) query = query.where('assigneeId', '==', assigneeId);
+        const snapshot = await query.orderBy('updatedAt', 'desc').limit(Math.min(limit, 200)).get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    // The case with its evidence, status history and linked fraud scores.
+    static async getCase(caseId) {
+        const caseRef = _firestore.collection(this.casesCollection).doc(caseId);
+        const caseDoc = await caseRef.get();
+        if (!caseDoc.exists) {
+            throw new _functions.https.HttpsError('not-found', `Fraud case ${caseId} not found`);
+        }
+        const fraudCase = caseDoc.data();
+
+        const [evidenceSnapshot, historySnapshot, scoreDocs] = await Promise.all([
+            caseRef.collection(this.evidenceCollection).orderBy('addedAt', 'asc').get(),
+            caseRef.collection(this.historyCollection).orderBy('timestamp', 'asc').get(),
+            Promise.all((fraudCase.fraudScoreIds || []).map(id => _firestore.collection('fraud_scores').doc(id).get()))
+        ]);
+
+        return {
+            id: caseId,
+            ...fraudCase,
+            evidence: evidenceSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+            history: historySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+            fraudScores: scoreDocs.filter(doc => doc.exists).map(doc => ({ id: doc.id, ...doc.data() }))
+        };
+    }
+}
+
+module.exports = FraudCaseManagement;
@@ -0,0 +1,228 @@
+// 049-payment-abuse-detection.js
+// Money-related fraud facts for AIFraudDetection: promo-code farming (linked accounts redeeming
+// the same promotion), card testing (bursts of small failed payments) and refund abuse. The
+// scores live in the fraud rules (groups `promo`, `card_testing`, `refund`).
+const crypto = require('crypto');
+const { _admin, _firestore } = require('./001-setup-initialization');
+const { ORDER_STATUS } = require('./002-constants-definition');
+
+class PaymentAbuseDetection {
+    static settings = {
+        promoWindowDays: 30,
+        maxPromoRedemptionsScanned: 200,
+        newAccountDays: 7,
+        addressPrecision: 4, // Delivery coordinates rounded to ~11 m count as the same address
+        cardTestingWindowMinutes: 60,
+        smallPaymentAmount: 5, // Failed charges at or below this look like card probes
+        refundWindowDays: 90
+    };
+    static webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || null;
+
+    // Payment webhook requests carry `X-Signature: sha256=<hex HMAC-SHA256 of the raw body>` keyed
+    // with PAYMENT_WEBHOOK_SECRET. Without a configured secret every request is rejected.
+    static verifyWebhookSignature(rawBody, signatureHeader) {
+        if (!this.webhookSecret || !rawBody || typeof signatureHeader !== 'string') return false;
+        const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+        const received = signatureHeader.replace(/^sha256=/, '').toLowerCase();
+        // timingSafeEqual throws on buffers of different byte lengths, e.g. for multibyte input.
+        return /^[0-9a-f]{64}$/.test(received) &&
+            crypto.timingSafeEqual(Buffer.from(received, 'hex'), Buffer.from(expected, 'hex'));
+    }
+
+    // Payment integrations report every charge attempt here (see the paymentAttemptWebhook function).
+    // `attempt`: { amount, currency?, status: 'succeeded' | 'failed', cardFingerprint?, failureCode?,
+    // orderId?, clientIP? }.
+    static async recordPaymentAttempt(userId, attempt) {
+        await _firestore.collection('payment_attempts').add({
+            userId,
+            amount: Number(attempt.amount) || 0,
+            currency: attempt.currency || null,
+            status: attempt.status === 'succeeded' ? 'succeeded' : 'failed',
+            cardFingerprint: attempt.cardFingerprint || null,
+            failureCode: attempt.failureCode || null,
+            orderId: attempt.orderId || null,
+            clientIP: attempt.clientIP || null,
+            timestamp: _admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    // Facts for the fraud rules; a source whose lookup fails is null so none of its rules fire.
+    static async collectPaymentFacts(userId, contextData = {}, asOfMs = Date.now()) {
+        const [promo, cardTesting, refunds] = await Promise.all([
+            this.resolvePromoContext(contextData)
+                .then(promoContext => promoContext.couponCode ? this.collectPromoFacts(userId, promoContext, asOfMs) : null)
+                .catch(error => this.logFailure('promo', error)),
+            this.collectCardTestingFacts(userId, contextData.clientIP, asOfMs).catch(error => this.logFailure('card testing', error)),
+            this.collectRefundFacts(userId, asOfMs).catch(error => this.logFailure('refund', error))
+        ]);
+        return { promo, cardTesting, refunds };
+    }
+
+    // Order placement passes `couponCode`, `deviceFingerprint` and `deliveryLocation`; callers that
+    // only know the order (the payment webhook) get them from the order document.
+    static async resolvePromoContext(contextData) {
+        if (contextData.couponCode || !contextData.orderId) return contextData;
+
+        const orderDoc = await _firestore.collection('restaurant_orders').doc(contextData.orderId).get();
+        if (!orderDoc.exists) return contextData;
+        const order = orderDoc.data();
+        return {
+            ...contextData,
+            couponCode: order.couponCode || null,
+            deviceFingerprint: contextData.deviceFingerprint || order.deviceFingerprint || null,
+            deliveryLocation: contextData.deliveryLocation || order.address?.location || null
+        };
+    }
+
+    static logFailure(source, error) {
+        console.error(`Error collecting ${source} facts:`, error);
+        return null;
+    }
+
+    // Other accounts that redeemed the same code recently and share a device fingerprint or a
+    // delivery address with this user.
+    static async collectPromoFacts(userId, contextData, asOfMs) {
+        const { couponCode, deviceFingerprint, deliveryLocation } = contextData;
+        const since = _admin.firestore.Timestamp.fromMillis(asOfMs - this.settings.promoWindowDays * 24 * 60 * 60 * 1000);
+
+        const [redemptions, sharedDevices, userDoc] = await Promise.all([
+            _firestore.collection('restaurant_orders')
+                .where('couponCode', '==', couponCode)
+                .where('createdAt', '>=', since)
+                .limit(this.settings.maxPromoRedemptionsScanned)
+                .get(),
+            deviceFingerprint ?
+                _firestore.collection('user_devices').where('fingerprint', '==', deviceFingerprint).get() : null,
+            _firestore.collection('users').doc(userId).get()
+        ]);
+
+        const deviceUsers = new Set((sharedDevices?.docs || []).map(doc => doc.data().userId));
+        const addressKey = this.getAddressKey(deliveryLocation);
+
+        const redeemers = new Set();
+        const linkedRedeemers = new Set();
+        redemptions.docs.forEach(doc => {
+            const order = doc.data();
+            const redeemerId = order.author?.uid;
+            if (!redeemerId || redeemerId === userId) return;
+            redeemers.add(redeemerId);
+            if (deviceUsers.has(redeemerId) || (addressKey && this.getAddressKey(order.address?.location) === addressKey)) {
+                linkedRedeemers.add(redeemerId);
+            }
+        });
+
+        const linkedDocs = await Promise.all([...linkedRedeemers].map(id => _firestore.collection('users').doc(id).get()));
+        const newAccountCutoffMs = asOfMs - this.settings.newAccountDays * 24 * 60 * 60 * 1000;
+        const newLinkedRedeemers = linkedDocs.filter(doc => this.toMillis(doc.data()?.createdAt) >= newAccountCutoffMs).length;
+        const createdAtMs = this.toMillis(userDoc.data()?.createdAt);
+
+        return {
+            code: couponCode,
+            redeemers: redeemers.size,
+            linkedRedeemers: linkedRedeemers.size,
+            newLinkedRedeemers,
+            accountAgeDays: createdAtMs ? Math.floor((asOfMs - createdAtMs) / (24 * 60 * 60 * 1000)) : null
+        };
+    }
+
+    // Failed charges by this user, and from this IP across all users, in the recent window.
+    static async collectCardTestingFacts(userId, clientIP, asOfMs) {
+        const since = _admin.firestore.Timestamp.fromMillis(asOfMs - this.settings.cardTestingWindowMinutes * 60 * 1000);
+        const until = _admin.firestore.Timestamp.fromMillis(asOfMs);
+        const recentFailures = (field, value) => _firestore.collection('payment_attempts')
+            .where(field, '==', value)
+            .where('status', '==', 'failed')
+            .where('timestamp', '>=', since)
+            .where('timestamp', '<=', until)
+            .get();
+
+        const [userFailures, ipFailures] = await Promise.all([
+            recentFailures('userId', userId),
+            clientIP ? recentFailures('clientIP', clientIP) : null
+        ]);
+
+        const attempts = userFailures.docs.map(doc => doc.data());
+        const ipAttempts = (ipFailures?.docs || []).map(doc => doc.data());
+        return {
+            failedCount: attempts.length,
+            smallFailedCount: attempts.filter(attempt => attempt.amount <= this.settings.smallPaymentAmount).length,
+            distinctCards: new Set(attempts.map(attempt => attempt.cardFingerprint).filter(Boolean)).size,
+            ipFailedCount: ipAttempts.length,
+            ipDistinctUsers: new Set(ipAttempts.map(attempt => attempt.userId)).size
+        };
+    }
+
+    static async collectRefundFacts(userId, asOfMs) {
+        const since = _admin.firestore.Timestamp.fromMillis(asOfMs - this.settings.refundWindowDays * 24 * 60 * 60 * 1000);
+        const ordersSnapshot = await _firestore.collection('restaurant_orders')
+            .where('author.uid', '==', userId)
+            .where('createdAt', '>=', since)
+            .get();
+
+        const orders = ordersSnapshot.docs.map(doc => doc.data());
+        const refunded = orders.filter(order => order.status === ORDER_STATUS.ORDER_REFUNDED || Number(order.refundAmount) > 0);
+        return {
+            orders: orders.length,
+            refunded: refunded.length,
+            ratio: orders.length > 0 ? Math.round(refunded.length / orders.length * 100) / 100 : 0,
+            refundedAmount: refunded.reduce((sum, order) => sum + (Number(order.refundAmount) || 0), 0)
+        };
+    }
+
+    // Payment-side numbers for the fraud report: failed charges by IP and the most redeemed codes.
+    static async getAbuseOverview(sinceMs) {
+        const since = _admin.firestore.Timestamp.fromMillis(sinceMs);
+        const [failedSnapshot, promoSnapshot] = await Promise.all([
+            _firestore.collection('payment_attempts')
+                .where('status', '==', 'failed')
+                .where('timestamp', '>=', since)
+                .get(),
+            _firestore.collection('restaurant_orders')
+                .where('createdAt', '>=', since)
+                .get()
+        ]);
+
+        const failuresByIP = {};
+        let smallFailures = 0;
+        failedSnapshot.docs.forEach(doc => {
+            const attempt = doc.data();
+            if (attempt.amount <= this.settings.smallPaymentAmount) smallFailures++;
+            if (attempt.clientIP) failuresByIP[attempt.clientIP] = (failuresByIP[attempt.clientIP] || 0) + 1;
+        });
+
+        const redemptionsByCode = {};
+        let promoRedemptions = 0;
+        promoSnapshot.docs.forEach(doc => {
+            const code = doc.data().couponCode;
+            if (!code) return;
+            promoRedemptions++;
+            redemptionsByCode[code] = (redemptionsByCode[code] || 0) + 1;
+        });
+
+        const top = (counts, key) => Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([value, count]) => ({ [key]: value, count }));
+
+        return {
+            failedPayments: failedSnapshot.size,
+            smallFailedPayments: smallFailures,
+            topFailingIPs: top(failuresByIP, 'ip'),
+            promoRedemptions,
+            topPromoCodes: top(redemptionsByCode, 'code')
+        };
+    }
+
+    static getAddressKey(location) {
+        if (typeof location?.latitude !== 'number' || typeof location?.longitude !== 'number') return null;
+        const precision = this.settings.addressPrecision;
+        return `${location.latitude.toFixed(precision)},${location.longitude.toFixed(precision)}`;
+    }
+
+    static toMillis(value) {
+        if (!value) return 0;
+        return value.toMillis ? value.toMillis() : new Date(value).getTime();
+    }
+}
+
+module.exports = PaymentAbuseDetection;
@@ -0,0 +1,190 @@
+// 050-fraud-explanations.js
+// Explains stored fraud scores (which rule added how many points and why) so support can answer
+// "why was I suspended?", and lets reviewers label individual factors as false or true positives.
+// The labels are exported to tune rule thresholds.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+
+class FraudExplanations {
+    static labelsCollection = 'fraud_factor_labels'; // Doc id: `${fraudScoreId}_${ruleId}`
+    static labelValues = ['false_positive', 'true_positive'];
+    static maxExportRows = 5000;
+
+    // Scores of a user between `from` and `to` (defaults: the last 30 days), newest first, each with
+    // its contributions, plus the reasons that added the most points overall.
+    static async explainUserScores(userId, { from = null, to = null, limit = 50 } = {}) {
+        const toMs = to ? new Date(to).getTime() : Date.now();
+        const fromMs = from ? new Date(from).getTime() : toMs - 30 * 24 * 60 * 60 * 1000;
+        if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs > toMs) {
+            throw new _functions.https.HttpsError('invalid-argument', 'from/to must be valid dates with from <= to');
+        }
+
+        const [scoresSnapshot, userDoc] = await Promise.all([
+            _firestore.collection('fraud_scores')
+                .where('userId', '==', userId)
+                .where('timestamp', '>=', _admin.firestore.Timestamp.fromMillis(fromMs))
+                .where('timestamp', '<=', _admin.firestore.Timestamp.fromMillis(toMs))
+                .orderBy('timestamp', 'desc')
+                .limit(Math.min(limit, 200))
+                .get(),
+            _firestore.collection('users').doc(userId).get()
+        ]);
+
+        const scores = scoresSnapshot.docs.map(doc => this.toExplanation(doc));
+
+        const byRule = new Map();
+        scores.forEach(score => score.contributions.forEach(contribution => {
+            const entry = byRule.get(contribution.ruleId) || { ruleId: contribution.ruleId, group: contribution.group, occurrences: 0, totalPoints: 0 };
+            entry.occurrences++;
+            entry.totalPoints += contribution.points;
+            entry.latestReason = entry.latestReason || contribution.reason; // Scores are newest first
+            byRule.set(contribution.ruleId, entry);
+        }));
+
+        const user = userDoc.exists ? userDoc.data() : {};
+        return {
+            userId,
+            from: new Date(fromMs).toISOString(),
+            to: new Date(toMs).toISOString(),
+            accountStatus: {
+                suspended: user.suspended === true,
+                flaggedForReview: user.flaggedForReview === true,
+                banned: user.banned === true,
+                reason: user.suspendReason || user.flagReason || user.banReason || null,
+                activeFraudCaseId: user.activeFraudCaseId || null
+            },
+            topReasons: [...byRule.values()].sort((a, b) => b.totalPoints - a.totalPoints).slice(0, 10),
+            scores
+        };
+    }
+
+    // Scores logged before contributions were stored only have `factors` strings ("name: points").
+    static toExplanation(doc) {
+        const data = doc.data();
+        const contributions = Array.isArray(data.contributions) ? data.contributions : (data.factors || []).map(factor => {
+            const [ruleId, points] = factor.split(':');
+            return {
+                ruleId: ruleId.trim(),
+                group: ruleId.trim(),
+                points: Number(points) || 0,
+                reason: 'Recorded before per-factor explanations were available',
+                facts: {}
+            };
+        });
+
+        return {
+            id: doc.id,
+            activity: data.activity,
+            score: data.score,
+            heuristicScore: data.heuristicScore ?? data.score,
+            model: data.model || null,
+            level: data.level,
+            ruleSetVersion: data.ruleSetVersion ?? null,
+            cappedAtMaxScore: data.cappedAtMaxScore || false,
+            timestamp: data.timestamp?.toDate ? data.timestamp.toDate().toISOString() : null,
+            contributions: contributions.map(contribution => ({
+                ...contribution,
+                label: data.labels?.[contribution.ruleId] || null
+            }))
+        };
+    }
+
+    // Labels one factor of a stored score. Re-labelling overwrites the previous label.
+    static async labelFactor(fraudScoreId, ruleId, label, notes = '', actor = {}) {
+        if (!this.labelValues.includes(label)) {
+            throw new _functions.https.HttpsError('invalid-argument', `label must be one of ${this.labelValues.join(', ')}`);
+        }
+        const scoreRef = _firestore.collection('fraud_scores').doc(fraudScoreId);
+        const labelRef = _firestore.collection(this.labelsCollection).doc(`${fraudScoreId}_${ruleId}`);
+
+        return _firestore.runTransaction(async (transaction) => {
+            const scoreDoc = await transaction.get(scoreRef);
+            if (!scoreDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Fraud score ${fraudScoreId} not found`);
+            }
+            const explanation = this.toExplanation(scoreDoc);
+            const contribution = explanation.contributions.find(item => item.ruleId === ruleId);
+            if (!contribution) {
+                throw new _functions.https.HttpsError('not-found', `Rule ${ruleId} did not contribute to fraud score ${fraudScoreId}`);
+            }
+
+            transaction.set(labelRef, {
+                fraudScoreId,
+                userId: scoreDoc.data().userId,
+                activity: explanation.activity,
+                score: explanation.score,
+                ruleSetVersion: explanation.ruleSetVersion,
+                ruleId,
+                group: contribution.group,
+                points: contribution.points,
+                facts: contribution.facts || {},
+                label,
+                notes,
+                labeledBy: actor.uid || 'system',
+                labeledAt: _admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(scoreRef, { [`labels.${ruleId}`]: label });
+
+            return { fraudScoreId, ruleId, label };
+        });
+    }
+
+    // Labels for threshold tuning, as rows or CSV, with false positive rates per rule.
+    static async exportLabels({ from = null, to = null, ruleId = null, label = null, format = 'json' } = {}) {
+        let query = _firestore.collection(this.labelsCollection);
+        if (ruleId) query = query.where('ruleId', '==', ruleId);
+        if (label) query = query.where('label', '==', label);
+        if (from) query = query.where('labeledAt', '>=', _admin.firestore.Timestamp.fromDate(new Date(from)));
+        if (to) query = query.where('labeledAt', '<=', _admin.firestore.Timestamp.fromDate(new Date(to)));
+        const snapshot = await query.orderBy('labeledAt', 'desc').limit(this.maxExportRows).get();
+
+        const rows = snapshot.docs.map(doc => {
+            const data = doc.data();
+            return {
+                fraudScoreId: data.fraudScoreId,
+                userId: data.userId,
+                activity: data.activity,
+                ruleSetVersion: data.ruleSetVersion,
+                ruleId: data.ruleId,
+                group: data.group,
+                points: data.points,
+                score: data.score,
+                label: data.label,
+                facts: data.facts || {},
+                notes: data.notes || '',
+                labeledBy: data.labeledBy,
+                labeledAt: data.labeledAt?.toDate ? data.labeledAt.toDate().toISOString() : null
+            };
+        });
+
+        const perRule = {};
+        rows.forEach(row => {
+            const entry = perRule[row.ruleId] || (perRule[row.ruleId] = { ruleId: row.ruleId, falsePositives: 0, truePositives: 0 });
+            if (row.label === 'false_positive') entry.falsePositives++;
+            else entry.truePositives++;
+        });
+        const summary = Object.values(perRule).map(entry => ({
+            ...entry,
+            falsePositiveRate: Math.round(entry.falsePositives / (entry.falsePositives + entry.truePositives) * 1000) / 1000
+        })).sort((a, b) => b.falsePositiveRate - a.falsePositiveRate);
+
+        return {
+            count: rows.length,
+            truncated: rows.length === this.maxExportRows,
+            summary,
+            ...(format === 'csv' ? { csv: this.toCsv(rows) } : { rows })
+        };
+    }
+
+    static toCsv(rows) {
+        const columns = ['fraudScoreId', 'userId', 'activity', 'ruleSetVersion', 'ruleId', 'group', 'points', 'score',
+            'label', 'facts', 'notes', 'labeledBy', 'labeledAt'];
+        const escape = value => {
+            const text = value === null || value === undefined ? '' :
+                typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+    }
+}
+
+module.exports = FraudExplanations;
@@ -0,0 +1,439 @@
+// 051-fraud-model.js
+// Learned fraud model next to the heuristic rules: logistic regression trained in plain JS from
+// the feature vectors stored on `fraud_scores` and the outcomes reviewers recorded (fraud case
+// resolutions and factor labels). Models are stored in Firestore; the active one either runs in
+// shadow mode (logged only) or is blended into the fraud score.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { FRAUD_CASE_STATUS } = require('./002-constants-definition');
+const SecurityLogger = require('./017-security-logger');
+
+class FraudModel {
+    static modelsCollection = 'fraud_models';
+    static configDocPath = ['fraud_model_config', 'current'];
+    static reloadIntervalMs = 60 * 1000;
+    static modes = ['off', 'shadow', 'active'];
+
+    static cache = { config: null, model: null, loadedAt: 0 };
+
+    static trainingDefaults = {
+        epochs: 400,
+        learningRate: 0.1,
+        l2: 0.01,
+        holdoutShare: 0.2,
+        minExamples: 50,
+        minPerClass: 5
+    };
+    // Accepted range of each hyperparameter a caller may override; the epoch cap keeps training
+    // within the function timeout.
+    static hyperparameterBounds = {
+        epochs: { min: 1, max: 5000, integer: true },
+        learningRate: { min: 0.0001, max: 1 },
+        l2: { min: 0, max: 10 }
+    };
+
+    // Numeric features derived from the fraud facts. Booleans are 0/1 and missing facts 0, so the
+    // vector is stable when a history lookup fails. Append new features at the end; a model only
+    // uses the names stored with it.
+    static featureNames = [
+        'velocity.activityCount', 'velocity.uniqueActions', 'velocity.totalActions',
+        'behavior.missingProfile', 'behavior.atypicalHour', 'behavior.firstTimeActivity',
+        'device.noKnownDevices', 'device.newIP', 'device.newUserAgent', 'device.newFingerprint',
+        'time.night', 'time.weekend',
+        'location.impossible_travel', 'location.country_change', 'location.mock_location',
+        'location.constant_coordinates', 'location.teleports', 'location.far_delivery_address',
+        'promo.linkedRedeemers', 'promo.newLinkedRedeemers', 'promo.newAccount',
+        'cardTesting.failedCount', 'cardTesting.smallFailedCount', 'cardTesting.distinctCards', 'cardTesting.ipFailedCount',
+        'refunds.orders', 'refunds.ratio'
+    ];
+
+    static extractFeatures(facts) {
+        const number = value => (typeof value === 'number' && Number.isFinite(value) ? value : 0);
+        const flag = condition => (condition ? 1 : 0);
+        const anomalies = facts.location?.anomalies || [];
+        const { promo, cardTesting, refunds } = facts.payment || {};
+        const hour = facts.time?.hour;
+
+        return {
+            'velocity.activityCount': number(facts.velocity?.activityCount),
+            'velocity.uniqueActions': number(facts.velocity?.uniqueActions),
+            'velocity.totalActions': number(facts.velocity?.totalActions),
+            'behavior.missingProfile': flag(facts.behavior?.hasProfile === false),
+            'behavior.atypicalHour': flag(facts.behavior?.isTypicalHour === false),
+            'behavior.firstTimeActivity': flag(facts.behavior?.hasProfile === true && facts.behavior.activityFrequency === 0),
+            'device.noKnownDevices': flag(facts.device?.hasKnownDevices === false),
+            'device.newIP': flag(facts.device?.newIP === true),
+            'device.newUserAgent': flag(facts.device?.newUserAgent === true),
+            'device.newFingerprint': flag(facts.device?.newFingerprint === true),
+            'time.night': flag(typeof hour === 'number' && (hour >= 23 || hour <= 5)),
+            'time.weekend': flag([0, 6].includes(facts.time?.dayOfWeek)),
+            'location.impossible_travel': flag(anomalies.includes('impossible_travel')),
+            'location.country_change': flag(anomalies.includes('country_change')),
+            'location.mock_location': flag(anomalies.includes('mock_location')),
+            'location.constant_coordinates': flag(anomalies.includes('constant_coordinates')),
+            'location.teleports': flag(anomalies.includes('teleports')),
+            'location.far_delivery_address': flag(anomalies.includes('far_delivery_address')),
+            'promo.linkedRedeemers': number(promo?.linkedRedeemers),
+            'promo.newLinkedRedeemers': number(promo?.newLinkedRedeemers),
+            'promo.newAccount': flag(typeof promo?.accountAgeDays === 'number' && promo.accountAgeDays < 1),
+            'cardTesting.failedCount': number(cardTesting?.failedCount),
+            'cardTesting.smallFailedCount': number(cardTesting?.smallFailedCount),
+            'cardTesting.distinctCards': number(cardTesting?.distinctCards),
+            'cardTesting.ipFailedCount': number(cardTesting?.ipFailedCount),
+            'refunds.orders': number(refunds?.orders),
+            'refunds.ratio': number(refunds?.ratio)
+        };
+    }
+
+    // --- Scoring ---
+
+    static configRef() {
+        return _firestore.collection(this.configDocPath[0]).doc(this.configDocPath[1]);
+    }
+
+    // `{ mode, blendWeight, model }` from Firestore, re-read at most every `reloadIntervalMs`.
+    static async getActiveModel() {
+        if (this.cache.config && Date.now() - this.cache.loadedAt < this.reloadIntervalMs) {
+            return this.cache;
+        }
+
+        try {
+            const configDoc = await this.configRef().get();
+            const config = configDoc.exists ? configDoc.data() : { mode: 'off' };
+            let model = this.cache.model;
+            if (config.mode !== 'off' && config.modelId && model?.id !== config.modelId) {
+                const modelDoc = await _firestore.collection(this.modelsCollection).doc(config.modelId).get();
+                model = modelDoc.exists ? { id: modelDoc.id, ...modelDoc.data() } : null;
+            }
+            this.cache = { config, model: config.mode === 'off' ? null : model, loadedAt: Date.now() };
+        } catch (error) {
+            console.error('FRAUD MODEL: Failed to reload model config, keeping the current one:', error.message);
+            this.cache.loadedAt = Date.now();
+            this.cache.config = this.cache.config || { mode: 'off' };
+        }
+        return this.cache;
+    }
+
+    static predictProbability(model, features) {
+        const z = model.featureNames.reduce((sum, name, i) => {
+            const standardized = ((features[name] || 0) - model.means[i]) / model.stds[i];
+            return sum + model.weights[i] * standardized;
+        }, model.bias);
+        return 1 / (1 + Math.exp(-z));
+    }
+
+    // Blends the model into the heuristic score. Returns { score, model } where `model` describes
+    // what the model said (null when no model is configured). In shadow mode the heuristic score
+    // is returned unchanged and `model.blendedScore` is what it would have been.
+    static async blendScore(heuristicScore, features) {
+        const { config, model } = await this.getActiveModel();
+        if (!model || !['shadow', 'active'].includes(config.mode)) {
+            return { score: heuristicScore, model: null };
+        }
+
+        const probability = this.predictProbability(model, features);
+        const blendWeight = config.blendWeight ?? 0.5;
+        const blendedScore = Math.round((1 - blendWeight) * heuristicScore + blendWeight * probability * 100);
+
+        return {
+            score: config.mode === 'active' ? blendedScore : heuristicScore,
+            model: {
+                modelId: model.id,
+                mode: config.mode,
+                probability: Math.round(probability * 10000) / 10000,
+                blendWeight,
+                blendedScore
+            }
+        };
+    }
+
+    // --- Training ---
+
+    // 1 = fraud, 0 = legitimate, per fraud score id. Case outcomes win over factor labels; a score
+    // with any factor confirmed counts as fraud, one whose labelled factors were all false
+    // positives as legitimate.
+    static async loadLabels() {
+        const [casesSnapshot, labelsSnapshot] = await Promise.all([
+            _firestore.collection('fraud_cases')
+                .where('status', 'in', [FRAUD_CASE_STATUS.CLEARED, FRAUD_CASE_STATUS.CONFIRMED])
+                .get(),
+            _firestore.collection('fraud_factor_labels').get()
+        ]);
+
+        const labels = new Map();
+        labelsSnapshot.docs.forEach(doc => {
+            const { fraudScoreId, label } = doc.data();
+            const positive = label === 'true_positive' ? 1 : 0;
+            labels.set(fraudScoreId, Math.max(labels.get(fraudScoreId) ?? 0, positive));
+        });
+        casesSnapshot.docs.forEach(doc => {
+            const { status, fraudScoreIds = [] } = doc.data();
+            fraudScoreIds.forEach(id => labels.set(id, status === FRAUD_CASE_STATUS.CONFIRMED ? 1 : 0));
+        });
+        return labels;
+    }
+
+    static async loadExamples(labels) {
+        const ids = [...labels.keys()];
+        const examples = [];
+        let skipped = 0;
+
+        for (let i = 0; i < ids.length; i += 300) {
+            const refs = ids.slice(i, i + 300).map(id => _firestore.collection('fraud_scores').doc(id));
+            const docs = refs.length > 0 ? await _firestore.getAll(...refs) : [];
+            docs.forEach(doc => {
+                // Scores logged before feature vectors were stored cannot be used.
+                if (!doc.exists || !doc.data().features) {
+                    skipped++;
+                    return;
+                }
+                examples.push({ id: doc.id, features: doc.data().features, label: labels.get(doc.id) });
+            });
+        }
+        return { examples, skipped };
+    }
+
+    // Throws invalid-argument unless every given hyperparameter is a finite number within bounds.
+    static validateHyperparameters(options) {
+        Object.entries(options).forEach(([name, value]) => {
+            const bounds = this.hyperparameterBounds[name];
+            if (!bounds) {
+                throw new _functions.https.HttpsError('invalid-argument', `Unknown hyperparameter ${name}`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < bounds.min || value > bounds.max ||
+                (bounds.integer && !Number.isInteger(value))) {
+                throw new _functions.https.HttpsError('invalid-argument',
+                    `${name} must be ${bounds.integer ? 'an integer' : 'a number'} between ${bounds.min} and ${bounds.max}`);
+            }
+        });
+    }
+
+    // Trains, evaluates on a holdout and stores a new model (not yet active). `options` may override
+    // epochs, learningRate and l2 (see hyperparameterBounds).
+    static async trainModel(options = {}, actor = {}) {
+        this.validateHyperparameters(options);
+        const settings = { ...this.trainingDefaults, ...options };
+        const labels = await this.loadLabels();
+        const { examples, skipped } = await this.loadExamples(labels);
+
+        const positives = examples.filter(example => example.label === 1).length;
+        const negatives = examples.length - positives;
+        if (examples.length < settings.minExamples || positives < settings.minPerClass || negatives < settings.minPerClass) {
+            throw new _functions.https.HttpsError('failed-precondition',
+                `Not enough labelled examples to train: ${examples.length} usable (${positives} fraud, ${negatives} legitimate), ` +
+                `need ${settings.minExamples} with at least ${settings.minPerClass} of each`);
+        }
+
+        // Deterministic split so retraining on the same labels is reproducible.
+        const isHoldout = example => this.hashToUnit(example.id) < settings.holdoutShare;
+        const training = examples.filter(example => !isHoldout(example));
+        const holdout = examples.filter(isHoldout);
+
+        const featureNames = this.featureNames;
+        const toVector = example => featureNames.map(name => Number(example.features[name]) || 0);
+        const fitted = this.fitLogisticRegression(training.map(toVector), training.map(example => example.label), settings);
+        if (![fitted.bias, ...fitted.weights].every(Number.isFinite)) {
+            throw new _functions.https.HttpsError('failed-precondition', 'Training diverged; retry with a lower learningRate');
+        }
+
+        const model = { featureNames, ...fitted };
+        const evaluate = set => this.evaluateModel(model, set);
+
+        const modelRef = _firestore.collection(this.modelsCollection).doc();
+        const record = {
+            type: 'logistic_regression',
+            ...model,
+            metrics: {
+                training: evaluate(training),
+                holdout: holdout.length > 0 ? evaluate(holdout) : null
+            },
+            examples: { total: examples.length, positives, negatives, training: training.length, holdout: holdout.length, skipped },
+            hyperparameters: { epochs: settings.epochs, learningRate: settings.learningRate, l2: settings.l2 },
+            trainedBy: actor.uid || 'system',
+            trainedAt: _admin.firestore.FieldValue.serverTimestamp()
+        };
+        await modelRef.set(record);
+
+        return { modelId: modelRef.id, metrics: record.metrics, examples: record.examples };
+    }
+
+    // Batch gradient descent on standardized features, positives weighted to balance the classes.
+    static fitLogisticRegression(rows, labels, { epochs, learningRate, l2 }) {
+        const featureCount = rows[0].length;
+        const means = new Array(featureCount).fill(0);
+        const stds = new Array(featureCount).fill(0);
+        rows.forEach(row => row.forEach((value, j) => { means[j] += value / rows.length; }));
+        rows.forEach(row => row.forEach((value, j) => { stds[j] += (value - means[j]) ** 2 / rows.length; }));
+        for (let j = 0; j < featureCount; j++) stds[j] = Math.sqrt(stds[j]) || 1;
+
+        const standardized = rows.map(row => row.map((value, j) => (value - means[j]) / stds[j]));
+        const positives = labels.filter(label => label === 1).length;
+        const positiveWeight = positives > 0 ? (labels.length - positives) / positives : 1;
+
+        const weights = new Array(featureCount).fill(0);
+        let bias = 0;
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            const gradient = new Array(featureCount).fill(0);
+            let biasGradient = 0;
+            let totalWeight = 0;
+            standardized.forEach((row, i) => {
+                const z = row.reduce((sum, value, j) => sum + weights[j] * value, bias);
+                const error = 1 / (1 + Math.exp(-z)) - labels[i];
+                const sampleWeight = labels[i] === 1 ? positiveWeight : 1;
+                row.forEach((value, j) => { gradient[j] += sampleWeight * error * value; });
+                biasGradient += sampleWeight * error;
+                totalWeight += sampleWeight;
+            });
+            for (let j = 0; j < featureCount; j++) {
+                weights[j] -= learningRate * (gradient[j] / totalWeight + l2 * weights[j]);
+            }
+            bias -= learningRate * biasGradient / totalWeight;
+        }
+
+        return { means, stds, weights, bias };
+    }
+
+    static evaluateModel(model, examples) {
+        const scored = examples.map(example => ({
+            probability: this.predictProbability(model, example.features),
+            label: example.label
+        }));
+        const truePositives = scored.filter(item => item.probability >= 0.5 && item.label === 1).length;
+        const predictedPositives = scored.filter(item => item.probability >= 0.5).length;
+        const actualPositives = scored.filter(item => item.label === 1).length;
+        const correct = scored.filter(item => (item.probability >= 0.5 ? 1 : 0) === item.label).length;
+        const logLoss = scored.reduce((sum, item) => {
+            const p = Math.min(Math.max(item.probability, 1e-7), 1 - 1e-7);
+            return sum - (item.label === 1 ? Math.log(p) : Math.log(1 - p));
+        }, 0) / Math.max(scored.length, 1);
+
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            examples: scored.length,
+            accuracy: round(correct / Math.max(scored.length, 1)),
+            precision: predictedPositives > 0 ? round(truePositives / predictedPositives) : null,
+            recall: actualPositives > 0 ? round(truePositives / actualPositives) : null,
+            auc: this.calculateAuc(scored),
+            logLoss: round(logLoss)
+        };
+    }
+
+    // Probability that a random fraud example outranks a random legitimate one (ties count half).
+    static calculateAuc(scored) {
+        const sorted = [...scored].sort((a, b) => a.probability - b.probability);
+        let rankSum = 0;
+        let i = 0;
+        while (i < sorted.length) {
+            let j = i;
+            while (j + 1 < sorted.length && sorted[j + 1].probability === sorted[i].probability) j++;
+            const averageRank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) {
+                if (sorted[k].label === 1) rankSum += averageRank;
+            }
+            i = j + 1;
+        }
+        const positives = scored.filter(item => item.label === 1).length;
+        const negatives = scored.length - positives;
+        if (positives === 0 || negatives === 0) return null;
+        return Math.round((rankSum - positives * (positives + 1) / 2) / (positives * negatives) * 1000) / 1000;
+    }
+
+    static hashToUnit(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0) / 4294967296;
+    }
+
+    // --- Rollout ---
+
+    // `mode`: 'off', 'shadow' (score logged, not used) or 'active' (blended with `blendWeight`).
+    static async setActiveModel({ modelId = null, mode, blendWeight = 0.5 }, actor = {}) {
+        if (!this.modes.includes(mode)) {
+            throw new _functions.https.HttpsError('invalid-argument', `mode must be one of ${this.modes.join(', ')}`);
+        }
+        if (!(blendWeight >= 0 && blendWeight <= 1)) {
+            throw new _functions.https.HttpsError('invalid-argument', 'blendWeight must be between 0 and 1');
+        }
+        if (mode !== 'off') {
+            if (!modelId) {
+                throw new _functions.https.HttpsError('invalid-argument', 'modelId is required unless mode is off');
+            }
+            const modelDoc = await _firestore.collection(this.modelsCollection).doc(modelId).get();
+            if (!modelDoc.exists) {
+                throw new _functions.https.HttpsError('not-found', `Fraud model ${modelId} not found`);
+            }
+        }
+
+        const config = {
+            modelId: mode === 'off' ? null : modelId,
+            mode,
+            blendWeight,
+            updatedBy: actor.uid || 'system',
+            updatedAt: _admin.firestore.FieldValue.serverTimestamp()
+        };
+        await this.configRef().set(config);
+        this.cache = { config: null, model: null, loadedAt: 0 };
+
+        await SecurityLogger.logCriticalAction(actor.uid || 'system', 'fraud_model_config_changed', { modelId, mode, blendWeight });
+        return { modelId: config.modelId, mode, blendWeight };
+    }
+
+    // Heuristic vs blended levels for scores logged with a model over the timeframe, and how each
+    // does against reviewer labels where those exist. `getScoreLevel` maps a score to its level.
+    static async getShadowReport(hours, getScoreLevel) {
+        const since = _admin.firestore.Timestamp.fromMillis(Date.now() - hours * 60 * 60 * 1000);
+        const [scoresSnapshot, labels] = await Promise.all([
+            _firestore.collection('fraud_scores').where('timestamp', '>=', since).get(),
+            this.loadLabels()
+        ]);
+
+        const report = {
+            hours,
+            compared: 0,
+            sameLevel: 0,
+            levelChanges: {},
+            averageProbability: 0,
+            labelled: {
+                heuristic: { truePositives: 0, falsePositives: 0, falseNegatives: 0 },
+                blended: { truePositives: 0, falsePositives: 0, falseNegatives: 0 }
+            },
+            models: {}
+        };
+
+        scoresSnapshot.docs.forEach(doc => {
+            const data = doc.data();
+            if (!data.model) return;
+            const heuristicScore = data.heuristicScore ?? data.score;
+            const heuristicLevel = getScoreLevel(heuristicScore);
+            const blendedLevel = getScoreLevel(data.model.blendedScore);
+
+            report.compared++;
+            report.averageProbability += data.model.probability;
+            report.models[data.model.modelId] = (report.models[data.model.modelId] || 0) + 1;
+            if (heuristicLevel === blendedLevel) report.sameLevel++;
+            else {
+                const change = `${heuristicLevel}->${blendedLevel}`;
+                report.levelChanges[change] = (report.levelChanges[change] || 0) + 1;
+            }
+
+            // "Flagged" means HIGH or CRITICAL, the levels that act on the account.
+            const label = labels.get(doc.id);
+            if (label === undefined) return;
+            [['heuristic', heuristicLevel], ['blended', blendedLevel]].forEach(([name, level]) => {
+                const flagged = ['HIGH', 'CRITICAL'].includes(level);
+                if (flagged && label === 1) report.labelled[name].truePositives++;
+                if (flagged && label === 0) report.labelled[name].falsePositives++;
+                if (!flagged && label === 1) report.labelled[name].falseNegatives++;
+            });
+        });
+
+        if (report.compared > 0) {
+            report.averageProbability = Math.round(report.averageProbability / report.compared * 1000) / 1000;
+        }
+        return report;
+    }
+}
+
+module.exports = FraudModel;
@@ -0,0 +1,384 @@
+// 052-ip-geolocation.js
+// IP -> country/region/city from a local database file: MaxMind DB format (GeoLite2/GeoIP2,
+// DB-IP .mmdb) or a CSV of IP ranges. IPv4 and IPv6, results cached in memory. Enabled with
+// GEOIP_DATABASE_PATH or configure(); without a database every lookup reports `unavailable`.
+const fs = require('fs');
+const net = require('net');
+
+const MMDB_METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'); // \xAB\xCD\xEF + "MaxMind.com"
+const IPV4_MAPPED_PREFIX = 0xffffn << 32n;
+
+// Reader for the MaxMind DB format (https://maxmind.github.io/MaxMind-DB/).
+class MmdbReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        const markerAt = buffer.lastIndexOf(MMDB_METADATA_MARKER);
+        if (markerAt === -1) {
+            throw new Error('Not a MaxMind DB file (metadata marker missing)');
+        }
+        this.metadata = this.decode(markerAt + MMDB_METADATA_MARKER.length, markerAt + MMDB_METADATA_MARKER.length).value;
+
+        const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+        if (![24, 28, 32].includes(recordSize)) {
+            throw new Error(`Unsupported MaxMind DB record size ${recordSize}`);
+        }
+        this.nodeCount = nodeCount;
+        this.recordSize = recordSize;
+        this.ipVersion = ipVersion;
+        this.nodeBytes = recordSize / 4;
+        this.dataSectionStart = (recordSize * 2 / 8) * nodeCount + 16;
+
+        // IPv4 addresses live under ::/96 in IPv6 databases.
+        this.ipv4StartNode = 0;
+        if (ipVersion === 6) {
+            for (let i = 0; i < 96 && this.ipv4StartNode < nodeCount; i++) {
+                this.ipv4StartNode = this.readRecord(this.ipv4StartNode, 0);
+            }
+        }
+    }
+
+    readRecord(node, bit) {
+        const offset = node * this.nodeBytes;
+        const b = this.buffer;
+        if (this.recordSize === 24) {
+            const at = offset + bit * 3;
+            return (b[at] << 16) | (b[at + 1] << 8) | b[at + 2];
+        }
+        if (this.recordSize === 28) {
+            if (bit === 0) return ((b[offset + 3] & 0xf0) << 20) | (b[offset] << 16) | (b[offset + 1] << 8) | b[offset + 2];
+            return ((b[offset + 3] & 0x0f) << 24) | (b[offset + 4] << 16) | (b[offset + 5] << 8) | b[offset + 6];
+        }
+        return b.readUInt32BE(offset + bit * 4);
+    }
+
+    // `address`: { version: 4 | 6, value: BigInt }. Returns the decoded record or null.
+    lookup(address) {
+        if (address.version === 6 && this.ipVersion === 4) return null;
+
+        const bits = address.version === 4 ? 32 : 128;
+        let node = address.version === 4 ? this.ipv4StartNode : 0;
+        for (let i = bits - 1; i >= 0 && node < this.nodeCount; i--) {
+            node = this.readRecord(node, Number((address.value >> BigInt(i)) & 1n));
+        }
+        if (node <= this.nodeCount) return null; // Equal to nodeCount means "no data"
+
+        const offset = this.dataSectionStart + (node - this.nodeCount - 16);
+        return this.decode(offset, this.dataSectionStart).value;
+    }
+
+    // Decodes the field at `offset`; pointers are relative to `base`. Returns { value, next }.
+    decode(offset, base) {
+        const b = this.buffer;
+        const control = b[offset++];
+        let type = control >> 5;
+
+        if (type === 1) {
+            const size = (control >> 3) & 0x3;
+            const high = control & 0x7;
+            let pointer;
+            if (size === 0) pointer = (high << 8) | b[offset];
+            else if (size === 1) pointer = ((high << 16) | (b[offset] << 8) | b[offset + 1]) + 2048;
+            else if (size === 2) pointer = ((high << 24) | (b[offset] << 16) | (b[offset + 1] << 8) | b[offset + 2]) + 526336;
+            else pointer = b.readUInt32BE(offset);
+            return { value: this.decode(base + pointer, base).value, next: offset + size + 1 };
+        }
+
+        if (type === 0) {
+            type = 7 + b[offset++];
+        }
+
+        let size = control & 0x1f;
+        if (size === 29) size = 29 + b[offset++];
+        else if (size === 30) { size = 285 + b.readUInt16BE(offset); offset += 2; }
+        else if (size === 31) { size = 65821 + b.readUIntBE(offset, 3); offset += 3; }
+
+        switch (type) {
+            case 2: return { value: b.toString('utf8', offset, offset + size), next: offset + size };
+            case 3: return { value: b.readDoubleBE(offset), next: offset + 8 };
+            case 4: return { value: b.subarray(offset, offset + size), next: offset + size };
+            case 5: case 6: case 9: case 10: {
+                let value = 0n;
+                for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(b[offset + i]);
+                return { value: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString(), next: offset + size };
+            }
+            case 7: {
+                const map = {};
+                for (let i = 0; i < size; i++) {
+                    const key = this.decode(offset, base);
+                    const entry = this.decode(key.next, base);
+                    map[key.value] = entry.value;
+                    offset = entry.next;
+                }
+                return { value: map, next: offset };
+            }
+            case 8: {
+                let value = 0;
+                for (let i = 0; i < size; i++) value = (value << 8) | b[offset + i];
+                return { value: size === 4 ? value | 0 : value, next: offset + size };
+            }
+            case 11: {
+                const array = [];
+                for (let i = 0; i < size; i++) {
+                    const entry = this.decode(offset, base);
+                    array.push(entry.value);
+                    offset = entry.next;
+                }
+                return { value: array, next: offset };
+            }
+            case 14: return { value: size !== 0, next: offset };
+            case 15: return { value: b.readFloatBE(offset), next: offset + 4 };
+            default: throw new Error(`Unsupported MaxMind DB data type ${type}`);
+        }
+    }
+}
+
+// Range database from CSV rows `start,end,country[,region,city]` (column positions configurable).
+// Bounds may be addresses or integers (IP2Location style).
+class CsvRangeDatabase {
+    constructor(text, columns) {
+        const ranges = { 4: [], 6: [] };
+        const records = [];
+        const recordIndex = new Map();
+
+        text.split(/\r?\n/).forEach(line => {
+            if (!line.trim() || line.startsWith('#')) return;
+            const fields = CsvRangeDatabase.splitLine(line);
+            const start = IPGeolocation.parseBound(fields[columns.start]);
+            const end = IPGeolocation.parseBound(fields[columns.end]);
+            const country = fields[columns.country];
+            if (!start || !end || start.version !== end.version || !country || country === '-' || country === 'ZZ') return;
+
+            const record = {
+                country: country.toUpperCase(),
+                region: columns.region !== undefined ? fields[columns.region] || null : null,
+                city: columns.city !== undefined ? fields[columns.city] || null : null
+            };
+            const key = `${record.country}|${record.region}|${record.city}`;
+            if (!recordIndex.has(key)) {
+                recordIndex.set(key, records.length);
+                records.push(record);
+            }
+            ranges[start.version].push({ start: start.value, end: end.value, record: recordIndex.get(key) });
+        });
+
+        ranges[4].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+        ranges[6].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+        this.ranges = ranges;
+        this.records = records;
+    }
+
+    static splitLine(line) {
+        const fields = [];
+        let current = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') { current += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else current += char;
+            } else if (char === '"') quoted = true;
+            else if (char === ',') { fields.push(current.trim()); current = ''; }
+            else current += char;
+        }
+        fields.push(current.trim());
+        return fields;
+    }
+
+    lookup(address) {
+        const found = this.search(this.ranges[address.version], address.value);
+        if (found !== null || address.version === 6) return found;
+        // IPv6 files often list IPv4 space as ::ffff:a.b.c.d ranges.
+        return this.search(this.ranges[6], IPV4_MAPPED_PREFIX | address.value);
+    }
+
+    search(ranges, value) {
+        let low = 0;
+        let high = ranges.length - 1;
+        let candidate = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (ranges[mid].start <= value) {
+                candidate = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (candidate === -1 || ranges[candidate].end < value) return null;
+        return this.records[ranges[candidate].record];
+    }
+}
+
+class IPGeolocation {
+    static databasePath = process.env.GEOIP_DATABASE_PATH || null;
+    static databaseFormat = process.env.GEOIP_DATABASE_FORMAT || null; // 'mmdb' | 'csv'; by extension when unset
+    static csvColumns = { start: 0, end: 1, country: 2, region: 3, city: 4 };
+    static retryLoadAfterMs = 5 * 60 * 1000;
+
+    static cacheTtlMs = 60 * 60 * 1000;
+    static maxCacheEntries = 10000;
+    static lookupCache = new Map(); // Map<ip, { result, storedAt }>
+
+    static database = null;
+    static loadState = { loaded: false, error: null, failedAt: 0 };
+    static stats = { lookups: 0, cacheHits: 0, found: 0, notFound: 0, private: 0, invalid: 0, unavailable: 0 };
+
+    static configure({ databasePath, databaseFormat, csvColumns } = {}) {
+        if (databasePath !== undefined) this.databasePath = databasePath;
+        if (databaseFormat !== undefined) this.databaseFormat = databaseFormat;
+        if (csvColumns) this.csvColumns = { ...this.csvColumns, ...csvColumns };
+        this.database = null;
+        this.loadState = { loaded: false, error: null, failedAt: 0 };
+        this.lookupCache.clear();
+    }
+
+    // Loads the database on first use. A failed load is retried after `retryLoadAfterMs`.
+    static ensureLoaded() {
+        if (this.database) return true;
+        if (!this.databasePath) return false;
+        if (this.loadState.error && Date.now() - this.loadState.failedAt < this.retryLoadAfterMs) return false;
+
+        try {
+            const format = this.databaseFormat || (this.databasePath.toLowerCase().endsWith('.csv') ? 'csv' : 'mmdb');
+            this.database = format === 'csv' ?
+                new CsvRangeDatabase(fs.readFileSync(this.databasePath, 'utf8'), this.csvColumns) :
+                new MmdbReader(fs.readFileSync(this.databasePath));
+            this.loadState = { loaded: true, error: null, failedAt: 0, format };
+            console.log(`GEOIP: Loaded ${format} database from ${this.databasePath}`);
+            return true;
+        } catch (error) {
+            console.error(`GEOIP: Failed to load database ${this.databasePath}:`, error.message);
+            this.loadState = { loaded: false, error: error.message, failedAt: Date.now() };
+            return false;
+        }
+    }
+
+    // { country, region, city, latitude, longitude, source }. `source` is 'database' when found;
+    // otherwise country is null and source says why: 'not_found', 'private', 'invalid' or
+    // 'unavailable' (no database or it failed to load).
+    static lookup(ip) {
+        this.stats.lookups++;
+        const cached = this.lookupCache.get(ip);
+        if (cached && Date.now() - cached.storedAt < this.cacheTtlMs) {
+            this.stats.cacheHits++;
+            return cached.result;
+        }
+
+        const result = this.resolve(ip);
+        this.stats[result.source === 'database' ? 'found' : result.source === 'not_found' ? 'notFound' : result.source]++;
+        // `unavailable` is not cached so lookups recover as soon as the database loads.
+        if (result.source !== 'unavailable') {
+            if (this.lookupCache.size >= this.maxCacheEntries) {
+                this.lookupCache.delete(this.lookupCache.keys().next().value);
+            }
+            this.lookupCache.set(ip, { result, storedAt: Date.now() });
+        }
+        return result;
+    }
+
+    static resolve(ip) {
+        const unknown = source => ({ country: null, region: null, city: null, latitude: null, longitude: null, source });
+        const address = this.parseIp(ip);
+        if (!address) return unknown('invalid');
+        if (this.isPrivate(address)) return unknown('private');
+        if (!this.ensureLoaded()) return unknown('unavailable');
+
+        try {
+            const record = this.database.lookup(address);
+            if (!record) return unknown('not_found');
+            return this.database instanceof MmdbReader ? this.fromMmdbRecord(record) : { ...unknown('database'), ...record };
+        } catch (error) {
+            console.error(`GEOIP: Lookup failed for ${ip}:`, error.message);
+            return unknown('not_found');
+        }
+    }
+
+    // GeoIP2 / GeoLite2 / DB-IP record layout.
+    static fromMmdbRecord(record) {
+        const subdivision = record.subdivisions?.[0];
+        const country = record.country?.iso_code || record.registered_country?.iso_code || null;
+        return {
+            country,
+            region: subdivision?.names?.en || subdivision?.iso_code || null,
+            city: record.city?.names?.en || null,
+            latitude: record.location?.latitude ?? null,
+            longitude: record.location?.longitude ?? null,
+            source: country ? 'database' : 'not_found'
+        };
+    }
+
+    // Returns { version: 4 | 6, value: BigInt } or null. IPv4-mapped IPv6 addresses are IPv4.
+    static parseIp(ip) {
+        if (typeof ip !== 'string') return null;
+        let text = ip.trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+        if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(text)) text = text.split(':')[0];
+
+        const version = net.isIP(text);
+        if (version === 4) {
+            return { version: 4, value: text.split('.').reduce((value, part) => (value << 8n) | BigInt(Number(part)), 0n) };
+        }
+        if (version !== 6) return null;
+
+        let head = text;
+        let tailGroups = [];
+        const embeddedV4 = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+        if (embeddedV4) {
+            const v4 = embeddedV4[2].split('.').map(Number);
+            head = embeddedV4[1].endsWith('::') ? embeddedV4[1] : embeddedV4[1].slice(0, -1);
+            tailGroups = [(v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]];
+        }
+
+        const [left, right] = head.includes('::') ? head.split('::') : [head, null];
+        const parseGroups = part => (part ? part.split(':').filter(Boolean).map(group => parseInt(group, 16)) : []);
+        const leftGroups = parseGroups(left);
+        const rightGroups = [...parseGroups(right), ...tailGroups];
+        const groups = right === null ?
+            [...leftGroups, ...tailGroups] :
+            [...leftGroups, ...new Array(8 - leftGroups.length - rightGroups.length).fill(0), ...rightGroups];
+        if (groups.length !== 8) return null;
+
+        const value = groups.reduce((acc, group) => (acc << 16n) | BigInt(group), 0n);
+        if (value >> 32n === 0xffffn) {
+            return { version: 4, value: value & 0xffffffffn };
+        }
+        return { version: 6, value };
+    }
+
+    // Integer or textual range bound for CSV databases.
+    static parseBound(text) {
+        if (!text) return null;
+        if (/^\d+$/.test(text)) {
+            const value = BigInt(text);
+            return { version: value <= 0xffffffffn ? 4 : 6, value };
+        }
+        const address = this.parseIp(text);
+        // A mapped bound such as ::ffff:1.0.0.0 stays in the IPv6 table; lookups try it for IPv4.
+        return address && text.includes(':') && address.version === 4 ?
+            { version: 6, value: IPV4_MAPPED_PREFIX | address.value } : address;
+    }
+
+    static isPrivate({ version, value }) {
+        const inRange = (base, prefixLength, bits) => (value >> BigInt(bits - prefixLength)) === (base >> BigInt(bits - prefixLength));
+        if (version === 4) {
+            return [
+                [0x00000000n, 8], [0x0a000000n, 8], [0x64400000n, 10], [0x7f000000n, 8],
+                [0xa9fe0000n, 16], [0xac100000n, 12], [0xc0a80000n, 16]
+            ].some(([base, prefix]) => inRange(base, prefix, 32));
+        }
+        return value === 0n || value === 1n ||
+            inRange(0xfc00n << 112n, 7, 128) || // Unique local
+            inRange(0xfe80n << 112n, 10, 128); // Link local
+    }
+
+    static getStatistics() {
+        return {
+            databasePath: this.databasePath,
+            ...this.loadState,
+            cacheEntries: this.lookupCache.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = IPGeolocation;
@@ -0,0 +1,275 @@
+// 053-rate-limiter.js
+// Sliding-window rate limiter for callables, with quotas per endpoint and per role. Counters live
+// in Firestore by default, so all function instances share them, behind per-instance counters that
+// turn away clients already over quota on this instance without a Firestore round trip. Set
+// RATE_LIMIT_STORE=memory or call configure() for per-instance counters only. Throttled requests
+// are counted for monitoring.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const AccessControl = require('./054-access-control');
+
+// Per-instance counters. Only suitable when one instance serves the traffic (or for the emulator).
+function createMemoryStore({ maxKeys = 50000 } = {}) {
+    const windows = new Map(); // Map<key, { windowStart, count, previousCount }>
+
+    return {
+        name: 'memory',
+        async increment(key, windowStart, windowMs) {
+            let entry = windows.get(key);
+            if (!entry || entry.windowStart < windowStart - windowMs) {
+                entry = { windowStart, count: 0, previousCount: 0 };
+            } else if (entry.windowStart < windowStart) {
+                entry = { windowStart, count: 0, previousCount: entry.count };
+            }
+            entry.count++;
+
+            windows.delete(key); // Re-insert so the Map stays in least recently used order
+            if (windows.size >= maxKeys) {
+                windows.delete(windows.keys().next().value);
+            }
+            windows.set(key, entry);
+            return { current: entry.count, previous: entry.previousCount };
+        }
+    };
+}
+
+// One counter document per key holding the current and previous window (the same shape as the
+// memory store), so each check is one read and one write in a transaction. `expiresAt` is meant for
+// a Firestore TTL policy on the collection.
+function createFirestoreStore({ collection = 'rate_limits' } = {}) {
+    return {
+        name: 'firestore',
+        async increment(key, windowStart, windowMs) {
+            const ref = _firestore.collection(collection).doc(key.replace(/\//g, '_'));
+
+            return _firestore.runTransaction(async (transaction) => {
+                const doc = await transaction.get(ref);
+                const stored = doc.exists ? doc.data() : null;
+                let entry;
+                if (!stored || stored.windowStart < windowStart - windowMs) {
+                    entry = { windowStart, count: 1, previousCount: 0 };
+                } else if (stored.windowStart < windowStart) {
+                    entry = { windowStart, count: 1, previousCount: stored.count };
+                } else {
+                    entry = { windowStart: stored.windowStart, count: stored.count + 1, previousCount: stored.previousCount || 0 };
+                }
+
+                transaction.set(ref, {
+                    key,
+                    ...entry,
+                    expiresAt: _admin.firestore.Timestamp.fromMillis(entry.windowStart + 2 * windowMs)
+                });
+                return { current: entry.count, previous: entry.previousCount };
+            });
+        }
+    };
+}
+
+class RateLimiter {
+    // Access control roles that share a quota role (the rest use their own name).
+    static quotaRoles = { vendor_staff: 'vendor', vendor_owner: 'vendor' };
+
+    // { limit, windowSeconds } per role; `endpoints` override the defaults for single callables.
+    // `ip` applies to every request from one address regardless of user or endpoint.
+    static quotas = {
+        ip: { limit: 300, windowSeconds: 60 },
+        defaults: {
+            customer: { limit: 60, windowSeconds: 60 },
+            driver: { limit: 120, windowSeconds: 60 },
+            vendor: { limit: 120, windowSeconds: 60 },
+            dispatcher: { limit: 300, windowSeconds: 60 },
+            support: { limit: 120, windowSeconds: 60 },
+            admin: { limit: 300, windowSeconds: 60 }
+        },
+        endpoints: {
+            dispatchOrder: { vendor: { limit: 60, windowSeconds: 60 } },
+            updateOrderStatus: { customer: { limit: 20, windowSeconds: 60 } },
+            acceptOrderOffer: { driver: { limit: 30, windowSeconds: 60 } },
+            rejectOrderOffer: { driver: { limit: 30, windowSeconds: 60 } },
+            updateDriverLocation: { driver: { limit: 60, windowSeconds: 60 } },
+            createZone: { default: { limit: 30, windowSeconds: 60 } },
+            updateZone: { default: { limit: 30, windowSeconds: 60 } },
+            deleteZone: { default: { limit: 30, windowSeconds: 60 } },
+            updateMatchingConfig: { default: { limit: 20, windowSeconds: 60 } },
+            getFairnessReport: { default: { limit: 20, windowSeconds: 60 } },
+            updateFraudRules: { default: { limit: 20, windowSeconds: 60 } },
+            dryRunFraudRules: { default: { limit: 5, windowSeconds: 60 } }, // Replays stored scores
+            getFraudReport: { default: { limit: 30, windowSeconds: 60 } },
+            explainFraudScores: { default: { limit: 30, windowSeconds: 60 } },
+            exportFraudFactorLabels: { default: { limit: 10, windowSeconds: 3600 } },
+            trainFraudModel: { default: { limit: 5, windowSeconds: 3600 } }, // Reads every label
+            setFraudModel: { default: { limit: 20, windowSeconds: 60 } },
+            setUserRole: { default: { limit: 20, windowSeconds: 60 } }
+        }
+    };
+
+    static store = process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryStore() : createFirestoreStore();
+    static localStore = createMemoryStore(); // First line in front of a shared store, see consume()
+    static metricsFlushIntervalMs = 60 * 1000;
+    static metrics = { allowed: 0, throttled: 0, storeErrors: 0, byEndpoint: {} };
+    static pendingThrottles = {}; // `${endpoint}.${role}` -> count, not yet written to rate_limit_metrics
+    static lastMetricsFlush = Date.now();
+
+    // `store`: 'memory' | 'firestore' | custom { name, increment(key, windowStart, windowMs) }.
+    // `quotas` is merged per section, so { endpoints: { x: {...} } } keeps the other endpoints.
+    static configure({ store, quotas } = {}) {
+        if (store === 'memory') this.store = createMemoryStore();
+        else if (store === 'firestore') this.store = createFirestoreStore();
+        else if (store) this.store = store;
+
+        if (quotas) {
+            this.quotas = {
+                ip: quotas.ip || this.quotas.ip,
+                defaults: { ...this.quotas.defaults, ...quotas.defaults },
+                endpoints: { ...this.quotas.endpoints, ...quotas.endpoints }
+            };
+        }
+    }
+
+    // Quota role of a caller's ID token: the admin claim wins, then the role claim, otherwise customer
+    // (see AccessControl.getActor).
+    static getRole(token = {}) {
+        const role = token.admin === true ? 'admin' :
+            AccessControl.roles.includes(token.role) ? token.role : 'customer';
+        return this.getQuotaRole(role);
+    }
+
+    static getQuotaRole(role) {
+        return this.quotaRoles[role] || role;
+    }
+
+    static getQuota(endpoint, role) {
+        const overrides = this.quotas.endpoints[endpoint] || {};
+        return overrides[role] || overrides.default || this.quotas.defaults[role] || this.quotas.defaults.customer;
+    }
+
+    // Counts one request against `key` and reports whether it fits the quota. The sliding window is
+    // approximated from the current and previous fixed windows, weighting the previous one by how
+    // much of it still overlaps the last `windowSeconds`. Rejected requests count too, so a client
+    // that keeps retrying stays throttled.
+    static async consume(key, { limit, windowSeconds }, now = Date.now()) {
+        const windowMs = windowSeconds * 1000;
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        const elapsed = now - windowStart;
+
+        let counts;
+        try {
+            // The shared count includes this instance's requests, so a key over quota here alone is
+            // over quota overall and is rejected without touching the shared store.
+            const local = this.store.name === 'memory' ? null : await this.localStore.increment(key, windowStart, windowMs);
+            counts = local && this.weigh(local, elapsed, windowMs) > limit ?
+                local : await this.store.increment(key, windowStart, windowMs);
+        } catch (error) {
+            // Counter storage must not take the API down with it.
+            console.error(`Rate limiter store failed for ${key}:`, error.message);
+            this.metrics.storeErrors++;
+            return { allowed: true, limit, remaining: limit, retryAfterSeconds: 0, degraded: true };
+        }
+
+        const { current, previous } = counts;
+        const weighted = this.weigh(counts, elapsed, windowMs);
+        const allowed = weighted <= limit;
+
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, Math.floor(limit - weighted)),
+            retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil(this.getRetryAfterMs(limit, current, previous, elapsed, windowMs) / 1000))
+        };
+    }
+
+    static weigh({ current, previous }, elapsed, windowMs) {
+        return previous * (1 - elapsed / windowMs) + current;
+    }
+
+    // Time until one more request would fit, assuming no further traffic.
+    static getRetryAfterMs(limit, current, previous, elapsed, windowMs) {
+        const target = limit - 1;
+        if (current <= target) {
+            return previous > 0 ? Math.max(0, windowMs * (1 - (target - current) / previous) - elapsed) : 0;
+        }
+        // The current window alone is over the limit: wait for it to become the previous window
+        // and decay far enough.
+        return (windowMs - elapsed) + windowMs * (1 - Math.max(0, target) / current);
+    }
+
+    // Throws resource-exhausted when the request is over quota. `details` on the HttpsError carries
+    // `retryAfterSeconds` (the Retry-After value), `limit`, `windowSeconds` and `scope`.
+    static async enforce({ endpoint = 'default', role = 'customer', uid = null, clientIP = null } = {}) {
+        const checks = [];
+        if (clientIP && clientIP !== 'unknown') {
+            checks.push({ scope: 'ip', key: `ip:${clientIP}`, quota: this.quotas.ip });
+        }
+        if (uid) {
+            checks.push({ scope: 'user', key: `${endpoint}:${uid}`, quota: this.getQuota(endpoint, role) });
+        }
+
+        const results = await Promise.all(checks.map(check => this.consume(check.key, check.quota)));
+        const throttledIndex = results.findIndex(result => !result.allowed);
+        this.recordMetric(endpoint, role, throttledIndex === -1);
+
+        if (throttledIndex !== -1) {
+            const { scope, quota } = checks[throttledIndex];
+            const { retryAfterSeconds } = results[throttledIndex];
+            throw new _functions.https.HttpsError('resource-exhausted', `Too many requests, retry after ${retryAfterSeconds}s`, {
+                retryAfterSeconds,
+                limit: quota.limit,
+                windowSeconds: quota.windowSeconds,
+                scope
+            });
+        }
+        return results;
+    }
+
+    static recordMetric(endpoint, role, allowed) {
+        const entry = this.metrics.byEndpoint[endpoint] || (this.metrics.byEndpoint[endpoint] = { allowed: 0, throttled: 0, throttledByRole: {} });
+        if (allowed) {
+            this.metrics.allowed++;
+            entry.allowed++;
+            return;
+        }
+        this.metrics.throttled++;
+        entry.throttled++;
+        entry.throttledByRole[role] = (entry.throttledByRole[role] || 0) + 1;
+
+        const pendingKey = `${endpoint}.${role}`;
+        this.pendingThrottles[pendingKey] = (this.pendingThrottles[pendingKey] || 0) + 1;
+        if (Date.now() - this.lastMetricsFlush >= this.metricsFlushIntervalMs) {
+            this.flushMetrics().catch(error => console.error('Error flushing rate limit metrics:', error));
+        }
+    }
+
+    // Adds this instance's throttle counts to the daily `rate_limit_metrics` document
+    // (`throttled.<endpoint>.<role>`), so totals cover every instance.
+    static async flushMetrics() {
+        const pending = this.pendingThrottles;
+        this.pendingThrottles = {};
+        this.lastMetricsFlush = Date.now();
+        if (Object.keys(pending).length === 0) return;
+
+        const throttled = {};
+        let total = 0;
+        Object.entries(pending).forEach(([key, count]) => {
+            const [endpoint, role] = key.split('.');
+            throttled[endpoint] = { ...throttled[endpoint], [role]: _admin.firestore.FieldValue.increment(count) };
+            total += count;
+        });
+
+        const day = new Date().toISOString().slice(0, 10);
+        await _firestore.collection('rate_limit_metrics').doc(day).set({
+            day,
+            throttled,
+            totalThrottled: _admin.firestore.FieldValue.increment(total),
+            updatedAt: _admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    static getMetrics() {
+        return {
+            store: this.store.name,
+            quotas: this.quotas,
+            ...this.metrics
+        };
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,190 @@
+// 054-access-control.js
+// Role-based access control for the callables: which roles may call each function, the caller's
+// role (from the `role` and `vendorID` custom claims), and resource checks so drivers, vendors and
+// customers only act on their own orders. Users may be able to edit their own `users` document, so
+// roles are never read from it: only admins set them, through setRole.
+const { _admin, _firestore, _functions } = require('./001-setup-initialization');
+const { USER_ROLES, ORDER_STATUS } = require('./002-constants-definition');
+const SecurityLogger = require('./017-security-logger');
+
+const { CUSTOMER, DRIVER, VENDOR_STAFF, VENDOR_OWNER, DISPATCHER, SUPPORT, ADMIN } = USER_ROLES;
+const VENDOR_ROLES = [VENDOR_STAFF, VENDOR_OWNER];
+const OPERATIONS_ROLES = [DISPATCHER, SUPPORT, ADMIN]; // May act on any order
+
+class AccessControl {
+    static roles = Object.values(USER_ROLES);
+
+    // Callable -> roles allowed to call it. A callable missing here is denied to everyone.
+    static permissions = {
+        dispatchOrder: [...VENDOR_ROLES, DISPATCHER, ADMIN],
+        updateOrderStatus: [CUSTOMER, DRIVER, ...VENDOR_ROLES, DISPATCHER, SUPPORT, ADMIN],
+        acceptOrderOffer: [DRIVER],
+        rejectOrderOffer: [DRIVER],
+        updateDriverLocation: [DRIVER],
+        getOrderTrail: [DRIVER, DISPATCHER, SUPPORT, ADMIN],
+        getDriverRoute: [DRIVER, DISPATCHER, ADMIN],
+
+        listZones: [DISPATCHER, SUPPORT, ADMIN],
+        createZone: [ADMIN],
+        updateZone: [ADMIN],
+        deleteZone: [ADMIN],
+        updateMatchingConfig: [ADMIN],
+        getFairnessReport: [DISPATCHER, ADMIN],
+
+        getFraudRules: [SUPPORT, ADMIN],
+        updateFraudRules: [ADMIN],
+        dryRunFraudRules: [ADMIN],
+        getFraudReport: [SUPPORT, ADMIN],
+        explainFraudScores: [SUPPORT, ADMIN],
+        labelFraudFactor: [SUPPORT, ADMIN],
+        exportFraudFactorLabels: [ADMIN],
+        trainFraudModel: [ADMIN],
+        setFraudModel: [ADMIN],
+        getFraudModelShadowReport: [ADMIN],
+        listFraudCases: [SUPPORT, ADMIN],
+        getFraudCase: [SUPPORT, ADMIN],
+        assignFraudCase: [SUPPORT, ADMIN],
+        addFraudCaseEvidence: [SUPPORT, ADMIN],
+        resolveFraudCase: [ADMIN],
+
+        setUserRole: [ADMIN],
+        getSystemStatus: [ADMIN]
+    };
+
+    // Order statuses each role may set on orders it has access to. Operations roles may set any.
+    static orderStatusPermissions = {
+        [CUSTOMER]: [ORDER_STATUS.ORDER_CANCELLED],
+        [DRIVER]: [ORDER_STATUS.ORDER_PICKED_UP, ORDER_STATUS.ORDER_IN_TRANSIT, ORDER_STATUS.ORDER_DELIVERED, ORDER_STATUS.ORDER_FAILED],
+        [VENDOR_STAFF]: [ORDER_STATUS.ORDER_ACCEPTED, ORDER_STATUS.ORDER_PREPARING, ORDER_STATUS.ORDER_READY,
+            ORDER_STATUS.DRIVER_PENDING, ORDER_STATUS.ORDER_CANCELLED, ORDER_STATUS.ORDER_FAILED],
+        [VENDOR_OWNER]: [ORDER_STATUS.ORDER_ACCEPTED, ORDER_STATUS.ORDER_PREPARING, ORDER_STATUS.ORDER_READY,
+            ORDER_STATUS.DRIVER_PENDING, ORDER_STATUS.ORDER_CANCELLED, ORDER_STATUS.ORDER_FAILED, ORDER_STATUS.ORDER_REFUNDED]
+    };
+
+    // The caller as { uid, role, vendorID }, from the custom claims; accounts without a role claim are
+    // customers. The old `admin: true` claim still means admin. The `users` document is read on every
+    // call so that suspending or banning an account takes effect immediately rather than when its ID
+    // token expires.
+    static async getActor(context) {
+        if (!context.auth) {
+            throw new _functions.https.HttpsError('unauthenticated', 'User must be authenticated.');
+        }
+        const { uid, token = {} } = context.auth;
+        const userDoc = await _firestore.collection('users').doc(uid).get();
+        const userData = userDoc.exists ? userDoc.data() : {};
+        this.assertAccountActive(userData);
+
+        if (token.admin === true) {
+            return { uid, role: ADMIN, vendorID: token.vendorID || null };
+        }
+        if (this.roles.includes(token.role)) {
+            return { uid, role: token.role, vendorID: token.vendorID || null };
+        }
+        return { uid, role: CUSTOMER, vendorID: null };
+    }
+
+    // Same account states as AdvancedSecurityManager.checkAccountSecurity, for callables that skip it.
+    static assertAccountActive(userData) {
+        if (userData.banned === true) {
+            throw new _functions.https.HttpsError('permission-denied', 'Account is banned');
+        }
+        if (userData.suspended === true) {
+            throw new _functions.https.HttpsError('permission-denied', 'Account is suspended');
+        }
+    }
+
+    static can(role, callableName) {
+        return (this.permissions[callableName] || []).includes(role);
+    }
+
+    // Throws unless the caller's role may call `callableName`. Returns the caller (see getActor).
+    static async authorize(context, callableName) {
+        const actor = await this.getActor(context);
+        if (!this.can(actor.role, callableName)) {
+            console.warn(`Access denied: ${actor.uid} (${actor.role}) called ${callableName}`);
+            throw new _functions.https.HttpsError('permission-denied', `Role ${actor.role} may not call ${callableName}.`);
+        }
+        return actor;
+    }
+
+    static isOperationsRole(role) {
+        return OPERATIONS_ROLES.includes(role);
+    }
+
+    // Drivers may act on orders assigned to them, vendor roles on their vendor's orders and customers
+    // on orders they placed; operations roles on any order. With `status`, also checks the role may
+    // move the order to that status. Returns the order data, or null when it was not read.
+    static async assertOrderAccess(actor, orderId, { status = null } = {}) {
+        if (this.isOperationsRole(actor.role)) return null;
+
+        const orderDoc = await _firestore.collection('restaurant_orders').doc(orderId).get();
+        if (!orderDoc.exists) {
+            throw new _functions.https.HttpsError('not-found', `Order ${orderId} not found`);
+        }
+        const order = orderDoc.data();
+
+        const owns = actor.role === DRIVER ? order.driverID === actor.uid :
+            VENDOR_ROLES.includes(actor.role) ? !!actor.vendorID && order.vendorID === actor.vendorID :
+            actor.role === CUSTOMER ? order.author?.uid === actor.uid : false;
+        if (!owns) {
+            throw new _functions.https.HttpsError('permission-denied', `Not allowed to access order ${orderId}.`);
+        }
+        if (status && !(this.orderStatusPermissions[actor.role] || []).includes(status)) {
+            throw new _functions.https.HttpsError('permission-denied', `Role ${actor.role} may not set order status ${status}.`);
+        }
+        return order;
+    }
+
+    // Drivers may only act on their own driver data (route, offers); dispatchers and admins on anyone's.
+    static assertDriverAccess(actor, driverId) {
+        if (actor.uid === driverId || actor.role === DISPATCHER || actor.role === ADMIN) return;
+        throw new _functions.https.HttpsError('permission-denied', `Not allowed to access driver ${driverId}.`);
+    }
+
+    // Sets a user's role claims on behalf of an admin (the setUserRole callable); the only way roles
+    // change. Vendor roles need the `vendorID` of an existing vendor. The role is mirrored into the
+    // `users` document for code that queries it, but access checks never read it from there.
+    static async setRole(userId, role, actor, { vendorID = null } = {}) {
+        if (!this.roles.includes(role)) {
+            throw new _functions.https.HttpsError('invalid-argument', `Unknown role ${role}.`);
+        }
+        const isVendor = VENDOR_ROLES.includes(role);
+        if (isVendor) {
+            const vendorDoc = vendorID ? await _firestore.collection('vendors').doc(vendorID).get() : null;
+            if (!vendorDoc?.exists) {
+                throw new _functions.https.HttpsError('invalid-argument', `Role ${role} needs the vendorID of an existing vendor.`);
+            }
+        }
+        let userRecord;
+        try {
+            userRecord = await _admin.auth().getUser(userId);
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') {
+                throw new _functions.https.HttpsError('not-found', `User ${userId} not found`);
+            }
+            throw error;
+        }
+
+        const { role: previousRole, admin, vendorID: previousVendorID, ...otherClaims } = userRecord.customClaims || {};
+        await _admin.auth().setCustomUserClaims(userId, {
+            ...otherClaims,
+            role,
+            ...(role === ADMIN ? { admin: true } : {}),
+            ...(isVendor ? { vendorID } : {})
+        });
+        await _firestore.collection('users').doc(userId).set({
+            role,
+            vendorID: isVendor ? vendorID : _admin.firestore.FieldValue.delete()
+        }, { merge: true });
+
+        await SecurityLogger.logCriticalAction(userId, 'user_role_changed', {
+            from: admin === true ? ADMIN : previousRole || null,
+            to: role,
+            ...(isVendor || previousVendorID ? { fromVendorID: previousVendorID || null, toVendorID: isVendor ? vendorID : null } : {}),
+            changedBy: actor.uid
+        });
+        return { userId, role, changed: true };
+    }
+}
+
+module.exports = AccessControl;
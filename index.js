@@ -16,6 +16,20 @@ const BackgroundJobScheduler = require('./030-background-job-scheduler');
 const CircuitBreakerErrorHandler = require('./028-error-handler-circuit-breaker');
 const EnhancedSecurityMonitoring = require('./025-enhanced-security-monitoring');
 const OptimizedDriverSearch = require('./023-optimized-driver-search');
+const ZoneManagement = require('./005-zone-management');
+const OrderManagement = require('./007-order-management');
+const DriverOrderRequests = require('./008-driver-order-requests');
+const DispatchRoundEngine = require('./041-dispatch-round-engine');
+const RouteSequencer = require('./043-route-sequencer');
+const DriverLocationTracking = require('./045-driver-location-tracking');
+const DriverLocationHistory = require('./046-driver-location-history');
+const FraudRulesEngine = require('./047-fraud-rules-engine');
+const FraudCaseManagement = require('./048-fraud-case-management');
+const FraudExplanations = require('./050-fraud-explanations');
+const FraudModel = require('./051-fraud-model');
+const PaymentAbuseDetection = require('./049-payment-abuse-detection');
+const RateLimiter = require('./053-rate-limiter');
+const AccessControl = require('./054-access-control');
 const PerformanceMonitor = require('./027-performance-monitor');
 const PredictiveAnalytics = require('./020-predictive-analytics');
 const SecurityLogger = require('./017-security-logger');
@@ -50,12 +64,9 @@ try {
  * Uses Firebase Auth context.
  */
 exports.dispatchOrder = _functions.https.onCall(async (data, context) => {
-    // --- Authentication ---
+    // --- Authentication / Authorization ---
     // Firebase automatically provides user auth context if callable function is called with auth token.
-    if (!context.auth) {
-        console.error('User is not authenticated.');
-        throw new _functions.https.HttpsError('unauthenticated', 'The function must be called while authenticated.');
-    }
+    const actor = await AccessControl.authorize(context, 'dispatchOrder');
     const uid = context.auth.uid;
     console.log(`User ${uid} is dispatching order.`);
 
@@ -70,65 +81,627 @@ exports.dispatchOrder = _functions.https.onCall(async (data, context) => {
 
     try {
         // --- Example Logic (assuming your modules work with Firebase Admin/Functions context) ---
-        const userData = await AdvancedSecurityManager.validateAdvancedSecurity(context, { /* ... */ });
+        const userData = await AdvancedSecurityManager.validateAdvancedSecurity(context, { endpoint: 'dispatchOrder' });
         console.log('User validated:', userData.uid);
+        await AccessControl.assertOrderAccess(actor, orderId);
 
         await AdvancedAnalytics.trackOrderFlowMetrics(orderId, 'dispatch_requested', { userId: userData.uid });
 
-        const orderData = {
-            orderId: orderId,
-            vendorID: 'vendorA',
-            vendor: { latitude: 34.05, longitude: -118.25 },
-            author: { uid: userData.uid }
-        };
-        const dispatchMetadata = {
-            zone_id: 'zone1',
-            currentRound: 1,
-            kDistanceRadiusForDispatchInMiles: 10
-        };
+        const result = await DispatchRoundEngine.startDispatch(orderId,
+            { uid: userData.uid || uid, role: actor.role },
+            { weather: { condition: 'clear' }, traffic: { level: 'light' } });
+
+        if (result.driverId) {
+            console.log(`Optimal driver for order ${orderId}: ${result.driverId}`);
+            await AdvancedAnalytics.trackOrderFlowMetrics(orderId, 'driver_assigned', {
+                userId: userData.uid || uid,
+                driverId: result.driverId,
+                zoneId: result.zoneId
+            });
+            return { success: true, ...result, message: `Order ${orderId} dispatched to ${result.driverId}` };
+        }
 
-        const availableDrivers = await OptimizedDriverSearch.getAvailableDriversOptimized(orderId, orderData, dispatchMetadata);
-        const optimalDrivers = await SmartDriverMatching.findOptimalDriver(orderData, availableDrivers, { weather: { condition: 'clear' }, traffic: { level: 'light' } });
+        await AdvancedAnalytics.trackOrderFlowMetrics(orderId, 'dispatch_round_started', {
+            userId: userData.uid || uid,
+            round: result.round,
+            offeredDrivers: result.offeredDriverIds.length
+        });
+        return { success: true, ...result, message: `Order ${orderId} offered to ${result.offeredDriverIds.length} drivers` };
 
-        if (optimalDrivers.length === 0) {
-            throw new _functions.https.HttpsError('not-found', `No drivers available for order ${orderId}.`);
+    } catch (error) {
+        console.error('Cloud Function dispatchOrder failed:', error);
+        // Rethrow HttpsError or wrap other errors
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
         }
+        throw new _functions.https.HttpsError('internal', 'An unexpected error occurred: ' + error.message);
+    }
+});
 
-        const chosenDriver = optimalDrivers[0];
-        console.log(`Optimal driver for order ${orderId}: ${chosenDriver.id}`);
+/**
+ * HTTP Callable Function: Move an order to its next lifecycle status.
+ * Illegal transitions are rejected by OrderManagement.
+ */
+exports.updateOrderStatus = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'updateOrderStatus');
 
-        // Use Firebase Admin SDK for operations if needed by your modules
-        // Example: const docRef = _firestore.collection('orders').doc(orderId);
-        // await docRef.update({ status: ORDER_STATUS.DISPATCHED, driverId: chosenDriver.id });
+    const { orderId, status, reason } = data;
+    if (!orderId || !status) {
+        throw new _functions.https.HttpsError('invalid-argument', 'orderId and status are required.');
+    }
+    if (status === ORDER_STATUS.DRIVER_ASSIGNED) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Drivers are assigned through dispatchOrder.');
+    }
 
-        // Send notification (ensure your service works with driver data)
-        // await AdvancedNotificationService.sendMultiChannelNotification(...);
+    try {
+        await AdvancedSecurityManager.validateAdvancedSecurity(context, { endpoint: 'updateOrderStatus' });
+        await AccessControl.assertOrderAccess(actor, orderId, { status });
+        const result = await OrderManagement.updateOrderStatus(orderId, status,
+            { uid: context.auth.uid, role: actor.role }, { reason: reason || null });
 
-        return { success: true, message: `Order ${orderId} dispatched to ${chosenDriver.id}` };
+        await AdvancedAnalytics.trackOrderFlowMetrics(orderId, 'status_changed', {
+            userId: context.auth.uid,
+            fromStatus: result.previousStatus,
+            toStatus: result.status
+        });
 
+        return { success: true, ...result };
     } catch (error) {
-        console.error('Cloud Function dispatchOrder failed:', error);
-        // Rethrow HttpsError or wrap other errors
+        console.error('updateOrderStatus failed:', error);
         if (error instanceof _functions.https.HttpsError) {
             throw error;
         }
-        throw new _functions.https.HttpsError('internal', 'An unexpected error occurred: ' + error.message);
+        throw new _functions.https.HttpsError('internal', 'Failed to update order status: ' + error.message);
     }
 });
 
 /**
- * HTTP Callable Function: Get system status.
- * Example of an admin-only callable function.
+ * HTTP Callable Function: A driver accepts an order offer they currently hold.
+ * DriverOrderRequests only finds offers held by the caller, so drivers cannot act on others' offers.
  */
-exports.getSystemStatus = _functions.https.onCall(async (data, context) => {
-    if (!context.auth) {
-        throw new _functions.https.HttpsError('unauthenticated', 'User must be authenticated.');
+exports.acceptOrderOffer = _functions.https.onCall(async (data, context) => {
+    await AccessControl.authorize(context, 'acceptOrderOffer');
+    const { orderId } = data;
+    if (!orderId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing orderId in function call data.');
+    }
+
+    try {
+        await AdvancedSecurityManager.validateAdvancedSecurity(context, { endpoint: 'acceptOrderOffer' });
+
+        await DriverOrderRequests.acceptOrderOffer(orderId, context.auth.uid);
+        await AdvancedAnalytics.trackOrderFlowMetrics(orderId, 'driver_assigned', { driverId: context.auth.uid });
+
+        return { success: true, orderId, driverId: context.auth.uid };
+    } catch (error) {
+        console.error('acceptOrderOffer failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to accept order offer: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: A driver rejects an order offer, optionally with a reason.
+ * When every driver of the current round has rejected, the next dispatch round starts.
+ */
+exports.rejectOrderOffer = _functions.https.onCall(async (data, context) => {
+    await AccessControl.authorize(context, 'rejectOrderOffer');
+    const { orderId, reason } = data;
+    if (!orderId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing orderId in function call data.');
+    }
+
+    try {
+        await AdvancedSecurityManager.validateAdvancedSecurity(context, { endpoint: 'rejectOrderOffer' });
+
+        const nextRound = await DispatchRoundEngine.onDriverRejected(orderId, context.auth.uid,
+            typeof reason === 'string' ? reason.substring(0, 200) : null);
+        await AdvancedAnalytics.trackOrderFlowMetrics(orderId, 'offer_rejected', { driverId: context.auth.uid });
+
+        return { success: true, orderId, roundAdvanced: !!nextRound };
+    } catch (error) {
+        console.error('rejectOrderOffer failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to reject order offer: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Functions: Admin CRUD for delivery zones (GeoJSON Polygon/MultiPolygon).
+ */
+exports.createZone = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'createZone');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'createZone');
+    try {
+        return await ZoneManagement.createZone(data, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('createZone failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to create zone: ' + error.message);
+    }
+});
+
+exports.updateZone = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'updateZone');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'updateZone');
+    const { zoneId, ...updates } = data;
+    if (!zoneId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing zoneId in function call data.');
+    }
+    try {
+        return await ZoneManagement.updateZone(zoneId, updates, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('updateZone failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to update zone: ' + error.message);
+    }
+});
+
+exports.deleteZone = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'deleteZone');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'deleteZone');
+    if (!data.zoneId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing zoneId in function call data.');
+    }
+    try {
+        return await ZoneManagement.deleteZone(data.zoneId, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('deleteZone failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to delete zone: ' + error.message);
+    }
+});
+
+exports.listZones = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'listZones');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'listZones');
+    try {
+        const zones = await ZoneManagement.getZones();
+        return { zones };
+    } catch (error) {
+        console.error('listZones failed:', error);
+        throw new _functions.https.HttpsError('internal', 'Failed to list zones: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Publish a new version of the driver matching config.
+ * `scope` is 'default' or a zone id for a per-zone override.
+ */
+exports.updateMatchingConfig = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'updateMatchingConfig');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'updateMatchingConfig');
+    const { scope = 'default', config } = data;
+    if (!config || typeof config !== 'object') {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing config in function call data.');
+    }
+    try {
+        return await SmartDriverMatching.updateMatchingConfig(scope, config, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('updateMatchingConfig failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to update matching config: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: A driver reports a GPS ping.
+ * Called every few seconds, so it skips the full security validation (which logs every access) and
+ * only enforces its rate limit; DriverLocationTracking checks the caller is a driver inside its transaction.
+ */
+exports.updateDriverLocation = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'updateDriverLocation');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'updateDriverLocation');
+
+    try {
+        return await DriverLocationTracking.updateLocation(context.auth.uid, data || {});
+    } catch (error) {
+        console.error('updateDriverLocation failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to update driver location: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Breadcrumb trail of an order, for disputes and support.
+ * Dispatchers, support and admins may read any trail; drivers only the trail of an order they are assigned to.
+ */
+exports.getOrderTrail = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'getOrderTrail');
+    const { orderId, driverId = null } = data || {};
+    if (!orderId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing orderId in function call data.');
+    }
+
+    try {
+        await AdvancedSecurityManager.validateAdvancedSecurity(context, { endpoint: 'getOrderTrail' });
+        await AccessControl.assertOrderAccess(actor, orderId);
+        if (actor.role === 'driver') {
+            return await DriverLocationHistory.getOrderTrail(orderId, context.auth.uid);
+        }
+        return await DriverLocationHistory.getOrderTrail(orderId, driverId);
+    } catch (error) {
+        console.error('getOrderTrail failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to load order trail: ' + error.message);
     }
-    // Example admin check: You might add a custom claim 'admin: true' to the user's token.
-    const isAdmin = context.auth.token.admin === true;
-    if (!isAdmin) {
-        throw new _functions.https.HttpsError('permission-denied', 'User is not an admin.');
+});
+
+/**
+ * HTTP Callable Function: Sequence the stops of everything a driver holds and return per-stop ETAs.
+ * Drivers may plan their own route; dispatchers and admins may plan any driver's.
+ */
+exports.getDriverRoute = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'getDriverRoute');
+    const driverId = data?.driverId || context.auth.uid;
+    AccessControl.assertDriverAccess(actor, driverId);
+
+    try {
+        await AdvancedSecurityManager.validateAdvancedSecurity(context, { endpoint: 'getDriverRoute' });
+        return await RouteSequencer.sequenceDriverRoute(driverId);
+    } catch (error) {
+        console.error('getDriverRoute failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to plan driver route: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Assignment/earnings distribution per driver for a zone.
+ */
+exports.getFairnessReport = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'getFairnessReport');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'getFairnessReport');
+    const { zoneId = null, shiftWindowHours = 8 } = data || {};
+    try {
+        return await SmartDriverMatching.generateFairnessReport(zoneId, Number(shiftWindowHours) || 8);
+    } catch (error) {
+        console.error('getFairnessReport failed:', error);
+        throw new _functions.https.HttpsError('internal', 'Failed to generate fairness report: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: The live fraud rule set (built-in defaults until one is published).
+ */
+exports.getFraudRules = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'getFraudRules');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'getFraudRules');
+    const { version = null } = data || {};
+    try {
+        return version === null ?
+            await FraudRulesEngine.getActiveRuleSet() :
+            await FraudRulesEngine.getRuleSet(Number(version));
+    } catch (error) {
+        console.error('getFraudRules failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to load fraud rules: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Publish a new version of the fraud rules.
+ * Every instance picks it up within FraudRulesEngine.reloadIntervalMs.
+ */
+exports.updateFraudRules = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'updateFraudRules');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'updateFraudRules');
+    const { ruleSet, notes = '' } = data || {};
+    if (!ruleSet || typeof ruleSet !== 'object') {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing ruleSet in function call data.');
+    }
+    try {
+        return await FraudRulesEngine.publishRuleSet(ruleSet, { uid: context.auth.uid }, notes);
+    } catch (error) {
+        console.error('updateFraudRules failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to update fraud rules: ' + error.message);
     }
+});
+
+/**
+ * HTTP Callable Function: Compare a candidate rule set (inline `ruleSet` or published `version`)
+ * with the live one over historical user activities.
+ */
+exports.dryRunFraudRules = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'dryRunFraudRules');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'dryRunFraudRules');
+    const { ruleSet = null, version = null, from = null, to = null, userId = null, activity = null, limit = 200 } = data || {};
+    if (!ruleSet && version === null) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Provide a ruleSet or a version to dry-run.');
+    }
+    try {
+        return await AIFraudDetection.dryRunRuleSet(ruleSet || Number(version),
+            { from, to, userId, activity, limit: Number(limit) || 200 }, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('dryRunFraudRules failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to dry-run fraud rules: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Fraud scores by level and rule, including payment and promo abuse.
+ */
+exports.getFraudReport = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'getFraudReport');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'getFraudReport');
+    const { timeframe = '24h' } = data || {};
+    try {
+        return await AIFraudDetection.generateFraudReport(timeframe);
+    } catch (error) {
+        console.error('getFraudReport failed:', error);
+        throw new _functions.https.HttpsError('internal', 'Failed to generate fraud report: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Why a user was scored the way they were between `from` and `to`:
+ * every rule that contributed, its points and a readable reason.
+ */
+exports.explainFraudScores = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'explainFraudScores');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'explainFraudScores');
+    const { userId, from = null, to = null, limit = 50 } = data || {};
+    if (!userId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing userId in function call data.');
+    }
+    try {
+        return await FraudExplanations.explainUserScores(userId, { from, to, limit: Number(limit) || 50 });
+    } catch (error) {
+        console.error('explainFraudScores failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to explain fraud scores: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Label one factor of a fraud score as 'false_positive' or 'true_positive'.
+ */
+exports.labelFraudFactor = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'labelFraudFactor');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'labelFraudFactor');
+    const { fraudScoreId, ruleId, label, notes = '' } = data || {};
+    if (!fraudScoreId || !ruleId || !label) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing fraudScoreId, ruleId or label in function call data.');
+    }
+    try {
+        return await FraudExplanations.labelFactor(fraudScoreId, ruleId, label, String(notes), { uid: context.auth.uid });
+    } catch (error) {
+        console.error('labelFraudFactor failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to label fraud factor: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Export factor labels (JSON rows or `format: 'csv'`) with per-rule
+ * false positive rates, for tuning rule thresholds.
+ */
+exports.exportFraudFactorLabels = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'exportFraudFactorLabels');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'exportFraudFactorLabels');
+    const { from = null, to = null, ruleId = null, label = null, format = 'json' } = data || {};
+    try {
+        return await FraudExplanations.exportLabels({ from, to, ruleId, label, format });
+    } catch (error) {
+        console.error('exportFraudFactorLabels failed:', error);
+        throw new _functions.https.HttpsError('internal', 'Failed to export fraud factor labels: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Train a fraud model from labelled fraud scores. The new model is stored
+ * but not used until activated with setFraudModel.
+ */
+exports.trainFraudModel = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'trainFraudModel');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'trainFraudModel');
+    const { epochs, learningRate, l2 } = data || {};
+    const options = Object.fromEntries(Object.entries({ epochs, learningRate, l2 })
+        .filter(([, value]) => value !== undefined && value !== null));
+    try {
+        return await FraudModel.trainModel(options, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('trainFraudModel failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to train fraud model: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Choose the fraud model and how it is used:
+ * mode 'off', 'shadow' (logged next to the heuristic score) or 'active' (blended with blendWeight).
+ */
+exports.setFraudModel = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'setFraudModel');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'setFraudModel');
+    const { modelId = null, mode, blendWeight = 0.5 } = data || {};
+    try {
+        return await FraudModel.setActiveModel({ modelId, mode, blendWeight: Number(blendWeight) }, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('setFraudModel failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to set fraud model: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Compare heuristic and model-blended fraud levels (shadow mode review).
+ */
+exports.getFraudModelShadowReport = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'getFraudModelShadowReport');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'getFraudModelShadowReport');
+    const { hours = 24 } = data || {};
+    try {
+        return await AIFraudDetection.generateModelShadowReport(Number(hours) || 24);
+    } catch (error) {
+        console.error('getFraudModelShadowReport failed:', error);
+        throw new _functions.https.HttpsError('internal', 'Failed to generate fraud model shadow report: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Fraud cases for the review queue, newest activity first.
+ */
+exports.listFraudCases = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'listFraudCases');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'listFraudCases');
+    const { status = null, assigneeId = null, limit = 50 } = data || {};
+    try {
+        return { cases: await FraudCaseManagement.listCases({ status, assigneeId, limit: Number(limit) || 50 }) };
+    } catch (error) {
+        console.error('listFraudCases failed:', error);
+        throw new _functions.https.HttpsError('internal', 'Failed to list fraud cases: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: A fraud case with its evidence, history and linked fraud scores.
+ */
+exports.getFraudCase = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'getFraudCase');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'getFraudCase');
+    const { caseId } = data || {};
+    if (!caseId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing caseId in function call data.');
+    }
+    try {
+        return await FraudCaseManagement.getCase(caseId);
+    } catch (error) {
+        console.error('getFraudCase failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to load fraud case: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Assign a fraud case to a reviewer (the caller by default).
+ */
+exports.assignFraudCase = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'assignFraudCase');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'assignFraudCase');
+    const { caseId, assigneeId = context.auth.uid } = data || {};
+    if (!caseId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing caseId in function call data.');
+    }
+    try {
+        return await FraudCaseManagement.assignCase(caseId, assigneeId, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('assignFraudCase failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to assign fraud case: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Attach reviewer evidence ({ type, description, url? }) to a fraud case.
+ */
+exports.addFraudCaseEvidence = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'addFraudCaseEvidence');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'addFraudCaseEvidence');
+    const { caseId, evidence } = data || {};
+    if (!caseId) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing caseId in function call data.');
+    }
+    try {
+        return await FraudCaseManagement.addEvidence(caseId, evidence, { uid: context.auth.uid });
+    } catch (error) {
+        console.error('addFraudCaseEvidence failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to add fraud case evidence: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Resolve a fraud case.
+ * 'cleared' reinstates the user; 'confirmed' bans them permanently and disables their account.
+ */
+exports.resolveFraudCase = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'resolveFraudCase');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'resolveFraudCase');
+    const { caseId, resolution, notes = '' } = data || {};
+    if (!caseId || !resolution) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing caseId or resolution in function call data.');
+    }
+    try {
+        return await FraudCaseManagement.resolveCase(caseId, resolution, String(notes), { uid: context.auth.uid });
+    } catch (error) {
+        console.error('resolveFraudCase failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to resolve fraud case: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Set a user's role (and `vendorID` for vendor roles). Admin-only, and the
+ * only way roles change; AccessControl never reads them from `users` documents.
+ */
+exports.setUserRole = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'setUserRole');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'setUserRole');
+    const { userId, role, vendorID } = data || {};
+    if (!userId || !role) {
+        throw new _functions.https.HttpsError('invalid-argument', 'Missing userId or role in function call data.');
+    }
+    try {
+        return await AccessControl.setRole(userId, role, actor, { vendorID });
+    } catch (error) {
+        console.error('setUserRole failed:', error);
+        if (error instanceof _functions.https.HttpsError) {
+            throw error;
+        }
+        throw new _functions.https.HttpsError('internal', 'Failed to set user role: ' + error.message);
+    }
+});
+
+/**
+ * HTTP Callable Function: Get system status.
+ * Admin-only.
+ */
+exports.getSystemStatus = _functions.https.onCall(async (data, context) => {
+    const actor = await AccessControl.authorize(context, 'getSystemStatus');
+    await AdvancedSecurityManager.enforceRateLimit(context, actor.role, 'getSystemStatus');
 
     console.log('Admin user fetching system status.');
     try {
@@ -137,6 +710,7 @@ exports.getSystemStatus = _functions.https.onCall(async (data, context) => {
 
         return {
             performance: performanceReport,
+            rateLimits: RateLimiter.getMetrics(),
             message: 'System status retrieved successfully'
         };
     } catch (error) {
@@ -148,6 +722,42 @@ exports.getSystemStatus = _functions.https.onCall(async (data, context) => {
     }
 });
 
+/**
+ * HTTPS Function: Webhook for the payment integration. Records every charge attempt (a single
+ * attempt or `{ attempts: [...] }`) and fraud-scores the user on failed ones (card testing) and on
+ * payments for an order (promo farming, with the coupon read from the order). Requests must be
+ * signed, see PaymentAbuseDetection.verifyWebhookSignature.
+ */
+exports.paymentAttemptWebhook = _functions.https.onRequest(async (req, res) => {
+    if (req.method !== 'POST') {
+        res.status(405).send('Method Not Allowed');
+        return;
+    }
+    if (!PaymentAbuseDetection.verifyWebhookSignature(req.rawBody, req.get('x-signature'))) {
+        res.status(401).send('Invalid signature');
+        return;
+    }
+
+    const attempts = Array.isArray(req.body?.attempts) ? req.body.attempts : [req.body];
+    const valid = attempts.filter(attempt => typeof attempt?.userId === 'string' && attempt.userId &&
+        ['succeeded', 'failed'].includes(attempt.status));
+    try {
+        for (const attempt of valid) {
+            await PaymentAbuseDetection.recordPaymentAttempt(attempt.userId, attempt);
+            if (attempt.status === 'failed' || attempt.orderId) {
+                await AIFraudDetection.calculateFraudScore(attempt.userId, 'payment_attempt', {
+                    clientIP: attempt.clientIP || null,
+                    orderId: attempt.orderId || null
+                });
+            }
+        }
+        res.status(200).json({ recorded: valid.length, rejected: attempts.length - valid.length });
+    } catch (error) {
+        console.error('paymentAttemptWebhook failed:', error);
+        res.status(500).send('Failed to record payment attempts');
+    }
+});
+
 /**
  * Pub/Sub triggered Cloud Function: Trigger daily reports.
  * This function is triggered by a Pub/Sub message.
@@ -166,3 +776,17 @@ exports.dailyReportGenerator = _functions.pubsub.topic('daily-reports-topic').on
         throw error;
     }
 });
+
+/**
+ * Scheduled Cloud Function: Advance dispatch rounds whose acceptance window has expired.
+ */
+exports.dispatchRoundSweeper = _functions.pubsub.schedule('every 1 minutes').onRun(async (context) => {
+    try {
+        const processed = await DispatchRoundEngine.processExpiredRounds();
+        console.log(`Dispatch round sweeper processed ${processed} expired rounds.`);
+        return null;
+    } catch (error) {
+        console.error('Dispatch round sweeper failed:', error);
+        throw error;
+    }
+});